@@ -0,0 +1,109 @@
+/**
+ * Friday Draft Collector - Reference endpoint for the extension's team sync
+ * Accepts the batches teamSync.js POSTs and appends each draft as one line of NDJSON,
+ * which the options page can import straight back in. Node built-ins only, so it runs
+ * anywhere with `node collector/server.js` - meant for local testing and small teams.
+ *
+ * Environment:
+ *   PORT              Port to listen on (default 8787)
+ *   COLLECTOR_OUTPUT  NDJSON file to append to (default ./friday-drafts.ndjson)
+ *   COLLECTOR_TOKEN   When set, requests need "Authorization: Bearer <token>"
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const OUTPUT_FILE = path.resolve(process.env.COLLECTOR_OUTPUT || 'friday-drafts.ndjson');
+const TOKEN = process.env.COLLECTOR_TOKEN || '';
+
+const SYNC_FORMAT_NAME = 'friday-draft-sync';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url === '/health') {
+    sendJSON(res, 200, { ok: true });
+    return;
+  }
+
+  if (req.method !== 'POST' || req.url !== '/drafts') {
+    sendJSON(res, 404, { error: 'Not found - POST batches to /drafts' });
+    return;
+  }
+
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendJSON(res, 401, { error: 'Missing or wrong access token' });
+    return;
+  }
+
+  readBody(req)
+    .then(body => {
+      const batch = parseBatch(body);
+      // One write per batch, so a crash can't leave half a batch in the file
+      const lines = batch.drafts.map(draft => JSON.stringify(draft)).join('\n') + '\n';
+      fs.appendFile(OUTPUT_FILE, lines, (error) => {
+        if (error) {
+          console.error('[Collector] Could not write batch:', error.message);
+          sendJSON(res, 500, { error: 'Could not store batch' });
+          return;
+        }
+        console.log(`[Collector] Stored ${batch.drafts.length} drafts from ${batch.sourceUser || 'unnamed sender'}`);
+        sendJSON(res, 200, { accepted: batch.drafts.length });
+      });
+    })
+    .catch(error => sendJSON(res, error.statusCode || 400, { error: error.message }));
+});
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Batch too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Only the envelope is checked here - the extension's import validates every record when the file is read back
+function parseBatch(body) {
+  let batch;
+  try {
+    batch = JSON.parse(body);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  if (!batch || batch.format !== SYNC_FORMAT_NAME || !Array.isArray(batch.drafts)) {
+    throw new Error(`Expected a ${SYNC_FORMAT_NAME} batch with a drafts array`);
+  }
+  if (batch.drafts.some(draft => !draft || typeof draft !== 'object' || typeof draft.id !== 'string')) {
+    throw new Error('Every draft needs a string id');
+  }
+  // Nothing to append - writing the bare newline would leave a blank line that NDJSON readers choke on
+  if (batch.drafts.length === 0) {
+    throw new Error('Batch has no drafts');
+  }
+  return batch;
+}
+
+function sendJSON(res, statusCode, payload) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+// `node collector/server.js` starts it; tests only load parseBatch
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`[Collector] Listening on http://localhost:${PORT}/drafts, writing to ${OUTPUT_FILE}`);
+  });
+}
+
+module.exports = { parseBatch };
@@ -0,0 +1,822 @@
+// Friday Draft Edit Analytics - Analytics tab
+// Full-page view of every draft card alongside the insights charts, the prompt improvement report
+// and the learned edit rules
+
+document.addEventListener('DOMContentLoaded', () => {
+  draftList = window.createVirtualList(document.getElementById('drafts-list'), {
+    estimatedHeight: ESTIMATED_CARD_HEIGHT,
+    renderRows: renderDraftRows,
+    loadMore: loadMoreDrafts
+  });
+  loadAnalytics();
+
+  document.getElementById('drafts-list').addEventListener('click', handleDraftListClick);
+  document.getElementById('drafts-list').addEventListener('input', handleRevisionScrub);
+  document.getElementById('trend-granularity').addEventListener('change', renderTrendCharts);
+  document.getElementById('refresh-analytics').addEventListener('click', () => loadAnalytics());
+  document.getElementById('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+  // Typing in the search box waits for a pause; every other control applies straight away
+  document.getElementById('filter-search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(applyDraftFilters, SEARCH_DELAY);
+  });
+  document.querySelectorAll('.draft-filters select, .draft-filters input[type="date"]').forEach(control => {
+    control.addEventListener('change', () => applyDraftFilters());
+  });
+  document.getElementById('filter-reset').addEventListener('click', resetDraftFilters);
+  document.getElementById('build-prompt-report').addEventListener('click', buildPromptReport);
+  document.getElementById('copy-prompt-report').addEventListener('click', copyPromptReport);
+  document.getElementById('download-prompt-report').addEventListener('click', downloadPromptReport);
+  document.getElementById('build-edit-rules').addEventListener('click', buildEditRules);
+  document.getElementById('export-edit-rules').addEventListener('click', exportEditRules);
+  // toggle doesn't bubble - listen in the capture phase to catch every example opening
+  document.getElementById('prompt-report-list').addEventListener('toggle', handleReportExampleToggle, true);
+
+  // The options page imported or cleared drafts - show the new data
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message && message.type === 'drafts_changed') loadAnalytics();
+  });
+});
+
+const ESTIMATED_CARD_HEIGHT = 260;   // Rough height of a collapsed card before it's measured
+const SEARCH_DELAY = 250;            // Wait this long after the last keystroke before searching
+const DRAFT_PAGE_SIZE = 25;          // Cards loaded at a time as the list scrolls
+
+// Drafts loaded so far for the current filters, in display order: [{ id, timestamp, number }]
+// (number is looked up when the card first renders)
+let matchingDrafts = [];
+
+// What the list is showing - listDrafts options, plus the sorted ids for the edit-% orders
+let draftQuery = null;
+
+// Where the next page starts, or null once every match is loaded
+let nextDraftPage = null;
+
+// Listed drafts in the store, for the "x of y drafts" count
+let listedCount = 0;
+
+// Only the cards near the viewport are in the DOM
+let draftList = null;
+
+// Bumped on every filter run so a slow scan can't overwrite a newer one
+let filterRun = 0;
+let searchTimer = null;
+
+// Aggregates behind the insights charts
+let currentInsights = null;
+
+// Same colors as the severity badges on the draft cards
+const SEVERITY_SERIES = [
+  { key: 'Minimal', color: '#10b981' },
+  { key: 'Moderate', color: '#f59e0b' },
+  { key: 'Heavy', color: '#ef4444' }
+];
+
+// How inlineSuggestions.js kinds read in the insights
+const SUGGESTION_KIND_LABELS = {
+  weak_cta: 'Weak CTA',
+  over_length: 'Over ideal length'
+};
+
+// How rewriteToolbar.js actions read in the revision history
+const REWRITE_ACTION_LABELS = {
+  formal: 'More formal',
+  shorten: 'Shorten',
+  cta: 'Specific CTA'
+};
+
+// Last report built with "Build report", for copy and download
+let currentPromptReport = null;
+
+// Last result of "Find rules": { draftCount, rules }
+let currentEditRules = null;
+
+// Full draft records behind the rendered cards, keyed by draft id
+let draftsById = new Map();
+
+// Every version of a draft rebuilt from its revision log, keyed by draft id (built when history is first opened)
+let revisionVersionsById = new Map();
+
+async function loadAnalytics({ keepScroll = false } = {}) {
+  // Quick stats and insights cover every draft; the card list follows the filters
+  const stats = await loadDraftStats();
+  console.log('[Analytics] Draft stats:', stats);
+  displayStats(stats);
+  loadInsights();
+  applyDraftFilters({ keepScroll });
+}
+
+function readFilterCriteria() {
+  const value = id => document.getElementById(id).value;
+  return {
+    query: value('filter-search').trim(),
+    severity: value('filter-severity'),
+    status: value('filter-status'),
+    composeType: value('filter-compose'),
+    emailType: value('filter-email-type'),
+    toneChange: value('filter-tone'),
+    ctaChange: value('filter-cta'),
+    lengthChange: value('filter-length'),
+    ...getDateInputRange(value('filter-from'), value('filter-to')),
+    sort: value('filter-sort')
+  };
+}
+
+/**
+ * Restart the list for the current filters. Only the first page is read here; the virtual
+ * list asks for the rest as it scrolls.
+ */
+async function applyDraftFilters({ keepScroll = false } = {}) {
+  const run = ++filterRun;
+  const criteria = readFilterCriteria();
+  const query = {
+    statuses: criteria.status ? [criteria.status] : LISTED_STATUSES,
+    from: criteria.from,
+    to: criteria.to,
+    oldestFirst: criteria.sort === 'oldest',
+    matches: window.createDraftMatcher(criteria),
+    filtered: Object.keys(criteria).some(key => key !== 'sort' && criteria[key] !== '' && criteria[key] !== null)
+  };
+  // After a delete, reload as many cards as were loaded so the scroll position still has rows under it
+  const limit = keepScroll ? Math.max(DRAFT_PAGE_SIZE, matchingDrafts.length) : DRAFT_PAGE_SIZE;
+
+  const total = await countDrafts({ statuses: LISTED_STATUSES });
+  if (!window.isPagedSort(criteria.sort)) query.sortedIds = await collectSortedDraftIds(query, criteria.sort);
+  const page = await loadDraftPage(query, null, limit);
+  if (run !== filterRun) return;
+
+  listedCount = total;
+  draftQuery = query;
+  matchingDrafts = [];
+  draftsById = new Map();
+  revisionVersionsById = new Map();
+  addDraftPage(page);
+
+  draftList.reset(matchingDrafts.length, { keepScroll, hasMore: nextDraftPage !== null });
+}
+
+// The edit-% orders need every match before the first card: one streaming pass keeps just the sort keys
+async function collectSortedDraftIds(query, sort) {
+  const entries = [];
+  await forEachDraft(draft => {
+    if (query.matches(draft)) entries.push({ id: draft.id, timestamp: draft.timestamp, editPercentage: draft.editPercentage || 0 });
+  }, query);
+  return window.sortDraftEntries(entries, sort).map(entry => entry.id);
+}
+
+// One page of records: straight from the timestamp index, or the next slice of the sorted ids
+async function loadDraftPage(query, after, limit) {
+  if (!query.sortedIds) return listDrafts({ ...query, after, limit });
+
+  const offset = after ? after.offset : 0;
+  const end = offset + limit;
+  return {
+    drafts: await getDrafts(query.sortedIds.slice(offset, end)),
+    next: end < query.sortedIds.length ? { offset: end } : null
+  };
+}
+
+// Called by the virtual list when it scrolls near the last loaded card
+async function loadMoreDrafts() {
+  const run = filterRun;
+  try {
+    const page = await loadDraftPage(draftQuery, nextDraftPage, DRAFT_PAGE_SIZE);
+    if (run === filterRun) addDraftPage(page);
+  } catch (error) {
+    console.error('[Analytics] Could not load more drafts:', error);
+    nextDraftPage = null;
+  }
+  return { count: matchingDrafts.length, hasMore: nextDraftPage !== null };
+}
+
+function addDraftPage({ drafts, next }) {
+  drafts.forEach(draft => {
+    draftsById.set(draft.id, draft);
+    matchingDrafts.push({ id: draft.id, timestamp: draft.timestamp, number: null });
+  });
+  nextDraftPage = next;
+
+  const loaded = matchingDrafts.length;
+  const empty = document.getElementById('drafts-empty');
+  empty.hidden = loaded > 0 || next !== null;
+  empty.textContent = listedCount === 0 ? 'No drafts analyzed yet' : 'No drafts match these filters';
+  // Until the last page is in, a filtered list only knows it has at least what's loaded
+  document.getElementById('drafts-count').textContent = !draftQuery.filtered || (next === null && loaded === listedCount)
+    ? `${listedCount} draft${listedCount === 1 ? '' : 's'}`
+    : `${loaded}${next === null ? '' : '+'} of ${listedCount} drafts`;
+}
+
+// Remove one draft for good, then refresh everything it counted towards without losing the scroll position
+function handleDraftDelete(event) {
+  const button = event.target.closest('.draft-delete');
+  if (!confirm('Delete this draft and its analysis? This cannot be undone.')) return;
+
+  deleteDraft(button.dataset.draftId)
+    .then(() => {
+      showStatus('Draft deleted ✓', '#059669');
+      loadAnalytics({ keepScroll: true });
+    })
+    .catch(error => {
+      console.error('[Analytics] Delete failed:', error);
+      showStatus('Could not delete draft', '#dc2626');
+    });
+}
+
+function resetDraftFilters() {
+  document.querySelectorAll('.draft-filters select').forEach(select => {
+    select.selectedIndex = 0;
+  });
+  document.querySelectorAll('.draft-filters input').forEach(input => {
+    input.value = '';
+  });
+  applyDraftFilters();
+}
+
+// Markup for the cards the virtual list is about to show
+async function renderDraftRows(indices) {
+  const entries = indices.map(index => matchingDrafts[index]);
+  // Read before waiting - a filter change swaps the map, and the virtual list drops these rows anyway
+  const drafts = entries.map(entry => draftsById.get(entry.id));
+
+  // Numbered oldest first across every listed draft, so a card keeps its number under any filter
+  await Promise.all(entries.filter(entry => entry.number === null).map(async entry => {
+    entry.number = await countDrafts({ statuses: LISTED_STATUSES, to: entry.timestamp });
+  }));
+
+  return drafts.map((draft, i) => renderDraftCard(draft, entries[i].number));
+}
+
+// Label filters offer whatever tone/CTA/length changes the insights pass found
+function populateLabelFilters(breakdowns) {
+  [['filter-tone', 'toneChange'], ['filter-cta', 'ctaChange'], ['filter-length', 'lengthChange']].forEach(([id, field]) => {
+    const select = document.getElementById(id);
+    const selected = select.value;
+    const anyLabel = select.options[0].textContent;
+    const labels = breakdowns[field].map(item => item.label);
+    // Keep a chosen label even if it's no longer in the data, so the filter doesn't silently change
+    if (selected && !labels.includes(selected)) labels.push(selected);
+
+    // Option() sets the text and value directly - labels come from model output and imports
+    select.replaceChildren(new Option(anyLabel, ''), ...labels.map(label => new Option(label, label)));
+    select.value = selected;
+  });
+}
+
+// Build the card for one draft
+function renderDraftCard(draft, draftNumber) {
+  const editSeverity = getEditSeverity(draft.editPercentage || 0);
+  // Imported records come from other people's files, so escape everything that's free text
+  const truncatedOriginal = escapeHtml(truncateText(draft.originalText || '', 150));
+  const truncatedFinal = escapeHtml(truncateText(draft.finalText || draft.originalText || '', 150));
+  const date = new Date(draft.generatedAt || draft.timestamp);
+
+  return `
+    <div class="draft-card">
+      <div class="draft-header">
+        <div class="draft-title">
+          <span class="draft-number">Draft #${draftNumber}</span>
+          <span class="draft-date">${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
+          ${draft.status !== 'editing' ? `<span class="status-badge status-${draft.status}">${getStatusLabel(draft)}</span>` : ''}
+          ${draft.detectionReason ? `<span class="detection-note">via ${escapeHtml(getDetectionLabel(draft.detectionReason))} · ${Math.round((draft.detectionConfidence || 0) * 100)}%</span>` : ''}
+          ${draft.sourceUser ? `<span class="source-user">from ${escapeHtml(draft.sourceUser)}</span>` : ''}
+          ${draft.textRedacted ? '<span class="source-user">PII masked</span>' : ''}
+          ${draft.assistantRewrites && draft.assistantRewrites.length ? `<span class="source-user" title="Rewritten with the compose toolbar">✨ ${draft.assistantRewrites.length} assistant rewrite${draft.assistantRewrites.length === 1 ? '' : 's'}</span>` : ''}
+        </div>
+        <div class="draft-header-actions">
+          <span class="edit-badge ${editSeverity.class}">${draft.editPercentage || 0}% edited</span>
+          <button class="draft-delete" data-draft-id="${draft.id}" title="Delete this draft">✕</button>
+        </div>
+      </div>
+
+      ${renderDraftContext(draft)}
+
+      <div class="draft-content">
+        <div class="text-section">
+          <div class="text-label">Original Draft:</div>
+          <div class="text-preview">${truncatedOriginal}</div>
+        </div>
+
+        ${draft.finalText ? `
+          <div class="text-section">
+            <div class="text-label">Final Draft:</div>
+            <div class="text-preview">${truncatedFinal}</div>
+          </div>
+
+          <button class="diff-toggle" data-draft-id="${draft.id}">Show changes</button>
+          <div class="diff-view" data-draft-id="${draft.id}" hidden></div>
+        ` : ''}
+
+        ${draft.revisions && draft.revisions.length ? `
+          <button class="history-toggle" data-draft-id="${draft.id}">Show history (${draft.revisions.length} revision${draft.revisions.length === 1 ? '' : 's'})</button>
+          <div class="revision-view" data-draft-id="${draft.id}" hidden></div>
+        ` : ''}
+      </div>
+
+      ${draft.toneChange || draft.ctaChange || draft.lengthChange ? `
+        <div class="draft-analysis">
+          <div class="analysis-grid">
+            ${draft.toneChange ? `
+              <div class="analysis-item">
+                <span class="analysis-label">Tone:</span>
+                <span class="analysis-value">${escapeHtml(draft.toneChange)}</span>
+              </div>
+            ` : ''}
+            ${draft.ctaChange ? `
+              <div class="analysis-item">
+                <span class="analysis-label">CTA:</span>
+                <span class="analysis-value">${escapeHtml(draft.ctaChange)}</span>
+              </div>
+            ` : ''}
+            ${draft.lengthChange ? `
+              <div class="analysis-item">
+                <span class="analysis-label">Length:</span>
+                <span class="analysis-value">${escapeHtml(draft.lengthChange)}</span>
+              </div>
+            ` : ''}
+          </div>
+          ${draft.summary ? `
+            <div class="draft-summary">${escapeHtml(draft.summary)}</div>
+          ` : ''}
+        </div>
+      ` : '<div class="draft-pending">Analysis pending...</div>'}
+
+      ${draft.originalQuality ? renderQualityComparison(draft) : ''}
+    </div>
+  `;
+}
+
+// One pass over the store builds every chart's data
+function loadInsights() {
+  const accumulator = window.createInsightsAccumulator();
+
+  forEachDraft(draft => window.addDraftToInsights(accumulator, draft), { statuses: LISTED_STATUSES }).then(() => {
+    currentInsights = window.finalizeInsights(accumulator);
+    populateLabelFilters(currentInsights.breakdowns);
+    renderInsights(currentInsights);
+  }).catch(error => {
+    console.error('[Analytics] Could not build insights:', error);
+  });
+}
+
+function renderInsights(insights) {
+  const empty = insights.total === 0;
+  document.getElementById('insights-empty').hidden = !empty;
+  document.getElementById('insights-content').hidden = empty;
+  if (empty) return;
+
+  document.getElementById('chart-histogram').innerHTML = window.renderBarChart(insights.editHistogram);
+  renderTrendCharts();
+  document.getElementById('chart-severity').innerHTML = window.renderStackedBarChart(insights.severityByWeek, SEVERITY_SERIES);
+
+  document.getElementById('breakdown-tone').innerHTML = window.renderBreakdownBars(insights.breakdowns.toneChange, { color: '#8b5cf6' });
+  document.getElementById('breakdown-cta').innerHTML = window.renderBreakdownBars(insights.breakdowns.ctaChange, { color: '#0ea5e9' });
+  document.getElementById('breakdown-length').innerHTML = window.renderBreakdownBars(insights.breakdowns.lengthChange, { color: '#f59e0b' });
+  document.getElementById('breakdown-email-type').innerHTML = window.renderBreakdownBars(
+    insights.editByEmailType.map(item => ({ label: `${getEmailTypeLabel(item.label)} (${item.count})`, value: item.value })),
+    { color: '#10b981', maxValue: 100, formatValue: value => `${value}%` }
+  );
+  document.getElementById('breakdown-suggestions').innerHTML = window.renderBreakdownBars(
+    insights.suggestionAcceptance.map(item => ({
+      label: `${SUGGESTION_KIND_LABELS[item.label] || item.label} (${item.accepted} of ${item.shown}, ${item.dismissed} dismissed)`,
+      value: item.value
+    })),
+    { color: '#667eea', maxValue: 100, formatValue: value => `${value}%` }
+  );
+
+  document.getElementById('top-summaries').innerHTML = insights.topSummaries.length
+    ? insights.topSummaries.map(entry => `
+        <li><span class="summary-count">${entry.count}×</span> ${escapeHtml(entry.summary)}</li>
+      `).join('')
+    : '<li class="chart-empty">No summaries yet</li>';
+}
+
+// Average edit % and draft volume, by day or by week
+function renderTrendCharts() {
+  if (!currentInsights) return;
+
+  const weekly = document.getElementById('trend-granularity').value === 'week';
+  const trend = weekly ? currentInsights.weeklyTrend : currentInsights.dailyTrend;
+
+  document.getElementById('chart-trend-edit').innerHTML = window.renderLineChart(
+    trend.map(point => ({ key: point.key, value: point.avgEdit })),
+    { maxValue: 100, formatValue: value => `${value}%` }
+  );
+  document.getElementById('chart-trend-count').innerHTML = window.renderLineChart(
+    trend.map(point => ({ key: point.key, value: point.count })),
+    { color: '#764ba2' }
+  );
+}
+
+// Built on request rather than on load - it's one more pass over the sent drafts
+function buildPromptReport() {
+  const button = document.getElementById('build-prompt-report');
+  button.disabled = true;
+
+  const accumulator = window.createPromptReportAccumulator(window.EMAIL_ANALYZER_CONFIG.PROMPT_REPORT);
+  forEachDraft(draft => window.addDraftToPromptReport(accumulator, draft), { statuses: ['sent'] })
+    .then(() => {
+      currentPromptReport = window.finalizePromptReport(accumulator);
+      renderPromptReport(currentPromptReport);
+    })
+    .catch(error => {
+      console.error('[Analytics] Could not build prompt report:', error);
+      showStatus('Could not build the report', '#dc2626');
+    })
+    .finally(() => {
+      button.disabled = false;
+    });
+}
+
+function renderPromptReport(report) {
+  const { recommendations } = report;
+  document.getElementById('copy-prompt-report').disabled = false;
+  document.getElementById('download-prompt-report').disabled = false;
+  document.getElementById('prompt-report-summary').textContent = recommendations.length
+    ? `${recommendations.length} consistent pattern${recommendations.length === 1 ? '' : 's'} across ${report.draftCount} sent drafts`
+    : `No consistent edit patterns yet across ${report.draftCount} sent drafts`;
+
+  document.getElementById('prompt-report-list').innerHTML = recommendations.map((recommendation, index) => `
+    <div class="report-card">
+      <div class="report-finding">${escapeHtml(recommendation.finding)}</div>
+      <div class="text-label">Suggested instruction</div>
+      <div class="report-instruction">${escapeHtml(recommendation.instruction)}</div>
+      ${recommendation.examples.map((example, exampleIndex) => `
+        <details class="report-example" data-recommendation="${index}" data-example="${exampleIndex}">
+          <summary>${escapeHtml(truncateText(example.summary || 'Example', 100))} · ${example.editPercentage}% edited</summary>
+          <div class="diff-view"></div>
+        </details>
+      `).join('')}
+    </div>
+  `).join('');
+}
+
+// Example diffs are only computed when opened
+function handleReportExampleToggle(event) {
+  const details = event.target;
+  if (!details.classList || !details.classList.contains('report-example') || !details.open || !currentPromptReport) return;
+
+  const diffView = details.querySelector('.diff-view');
+  if (diffView.dataset.rendered) return;
+  const example = currentPromptReport.recommendations[details.dataset.recommendation].examples[details.dataset.example];
+  diffView.innerHTML = renderDiffView(example.before, example.after);
+  diffView.dataset.rendered = 'true';
+}
+
+function copyPromptReport() {
+  if (!currentPromptReport) return;
+  navigator.clipboard.writeText(window.promptReportToMarkdown(currentPromptReport))
+    .then(() => showStatus('Report copied as Markdown ✓', '#059669'))
+    .catch(() => showStatus('Could not copy the report', '#dc2626'));
+}
+
+function downloadPromptReport() {
+  if (!currentPromptReport) return;
+  downloadFile(window.promptReportToMarkdown(currentPromptReport), 'text/markdown',
+    `friday-prompt-report-${currentPromptReport.generatedAt.slice(0, 10)}.md`);
+}
+
+// Every sent draft gets diffed, so this also waits for a click
+function buildEditRules() {
+  const button = document.getElementById('build-edit-rules');
+  button.disabled = true;
+
+  const accumulator = window.createEditRuleAccumulator(window.EMAIL_ANALYZER_CONFIG.EDIT_RULES);
+  forEachDraft(draft => window.addDraftToEditRules(accumulator, draft), { statuses: ['sent'] })
+    .then(() => {
+      currentEditRules = window.finalizeEditRules(accumulator);
+      renderEditRules(currentEditRules);
+    })
+    .catch(error => {
+      console.error('[Analytics] Could not mine edit rules:', error);
+      showStatus('Could not find edit rules', '#dc2626');
+    })
+    .finally(() => {
+      button.disabled = false;
+    });
+}
+
+function renderEditRules({ draftCount, rules }) {
+  document.getElementById('export-edit-rules').disabled = rules.length === 0;
+  document.getElementById('edit-rules-summary').textContent = rules.length
+    ? `${rules.length} rule${rules.length === 1 ? '' : 's'} learned from ${draftCount} sent drafts - untick any you don't want in the style guide`
+    : `No repeated edits yet across ${draftCount} sent drafts`;
+
+  document.getElementById('edit-rules-list').innerHTML = rules.map((rule, index) => `
+    <li class="edit-rule">
+      <label class="edit-rule-text">
+        <input type="checkbox" class="edit-rule-pick" data-rule-index="${index}" checked>
+        ${renderEditRuleChange(rule)}
+      </label>
+      <span class="edit-rule-count" title="${rule.occurrences} time${rule.occurrences === 1 ? '' : 's'} in all">
+        ${rule.drafts} drafts · ${Math.round(rule.share * 100)}%
+      </span>
+    </li>
+  `).join('');
+}
+
+function renderEditRuleChange(rule) {
+  if (rule.type === 'remove') return `<del class="diff-del">${escapeHtml(rule.from)}</del> <span class="edit-rule-note">removed</span>`;
+  if (rule.type === 'add') return `<ins class="diff-ins">${escapeHtml(rule.to)}</ins> <span class="edit-rule-note">added</span>`;
+  return `<del class="diff-del">${escapeHtml(rule.from)}</del> → <ins class="diff-ins">${escapeHtml(rule.to)}</ins>`;
+}
+
+function exportEditRules() {
+  if (!currentEditRules) return;
+  const picked = Array.from(document.querySelectorAll('.edit-rule-pick:checked'))
+    .map(input => currentEditRules.rules[input.dataset.ruleIndex]);
+  if (picked.length === 0) {
+    showStatus('Tick at least one rule to export', '#dc2626');
+    return;
+  }
+
+  downloadFile(window.editRulesToStyleGuide(picked, currentEditRules.draftCount), 'application/json',
+    `friday-style-guide-${new Date().toISOString().slice(0, 10)}.json`);
+  showStatus(`Exported ${picked.length} rule${picked.length === 1 ? '' : 's'} ✓`, '#059669');
+}
+
+function getStatusLabel(draft) {
+  if (draft.status === 'sent') return draft.scheduledSend ? 'Scheduled' : 'Sent';
+  if (draft.status === 'abandoned') return draft.abandonReason === 'discarded' ? 'Discarded' : 'Abandoned';
+  return 'Editing';
+}
+
+// detectEmailType's categories (index.js)
+function getEmailTypeLabel(emailType) {
+  const labels = {
+    customer_reply: 'Customer reply',
+    follow_up: 'Follow-up',
+    cold_outreach: 'Cold outreach',
+    investor_email: 'Investor email'
+  };
+  return labels[emailType] || emailType;
+}
+
+// Subject, then compose type, email type and recipient domains - whatever the record has
+function renderDraftContext(draft) {
+  const details = [
+    draft.composeType === 'reply' ? 'Reply' : draft.composeType === 'forward' ? 'Forward' : draft.composeType === 'compose' ? 'New message' : '',
+    draft.emailType ? getEmailTypeLabel(draft.emailType) : '',
+    draft.toDomains && draft.toDomains.length ? `to ${draft.toDomains.join(', ')}` : '',
+    draft.ccDomains && draft.ccDomains.length ? `cc ${draft.ccDomains.join(', ')}` : ''
+  ].filter(Boolean);
+
+  if (!draft.subject && details.length === 0) return '';
+  return `
+    <div class="draft-context">
+      ${draft.subject ? `<div class="draft-subject">${escapeHtml(draft.subject)}</div>` : ''}
+      ${details.length ? `<div class="draft-context-details">${escapeHtml(details.join(' · '))}</div>` : ''}
+    </div>
+  `;
+}
+
+// How fridayDetector.js recognised the draft
+function getDetectionLabel(reason) {
+  const labels = {
+    marker: 'Friday marker',
+    handshake: 'Friday handshake',
+    clipboard_marker: 'copy from Friday',
+    programmatic_insert: 'scripted insert',
+    unverified_paste: 'unverified paste'
+  };
+  return labels[reason] || reason;
+}
+
+// Before/after quality scores for the Friday original vs. what the user ended up with.
+// Until the final text is scored (at send/abandon) only the original's baseline is shown.
+function renderQualityComparison(draft) {
+  const { originalQuality, finalQuality } = draft;
+  const score = (quality, metric) => metric === 'overall' ? quality.overallScore : quality.breakdown[metric].score;
+  const metrics = [
+    { label: 'Overall', key: 'overall' },
+    { label: 'Tone', key: 'tone' },
+    { label: 'Clarity', key: 'clarity' },
+    { label: 'CTA', key: 'cta' },
+    { label: 'Length', key: 'length' }
+  ].map(({ label, key }) => ({
+    label,
+    before: score(originalQuality, key),
+    after: finalQuality ? score(finalQuality, key) : null
+  }));
+
+  if (!finalQuality) {
+    return `
+      <div class="draft-quality">
+        <div class="text-label">Quality Score (original - final not scored yet)</div>
+        ${metrics.map(metric => `
+          <div class="quality-row">
+            <span class="analysis-label">${metric.label}:</span>
+            <span class="quality-scores">${metric.before}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  return `
+    <div class="draft-quality">
+      <div class="text-label">Quality Score (original → final)</div>
+      ${metrics.map(metric => {
+        const delta = metric.after - metric.before;
+        const deltaClass = delta > 0 ? 'delta-positive' : delta < 0 ? 'delta-negative' : 'delta-neutral';
+        return `
+          <div class="quality-row">
+            <span class="analysis-label">${metric.label}:</span>
+            <span class="quality-scores">
+              ${metric.before} → ${metric.after}
+              <span class="quality-delta ${deltaClass}">${delta > 0 ? '+' : ''}${delta}</span>
+            </span>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+function handleDraftListClick(event) {
+  if (event.target.closest('.diff-toggle')) handleDiffToggle(event);
+  if (event.target.closest('.history-toggle')) handleHistoryToggle(event);
+  if (event.target.closest('.revision-copy')) copyRevision(event);
+  if (event.target.closest('.revision-restore')) restoreRevision(event);
+  if (event.target.closest('.draft-delete')) handleDraftDelete(event);
+}
+
+// Expand/collapse a card's diff. The diff is only computed the first time it's opened.
+function handleDiffToggle(event) {
+  const button = event.target.closest('.diff-toggle');
+
+  const card = button.closest('.draft-card');
+  const diffView = card.querySelector('.diff-view');
+  const draft = draftsById.get(button.dataset.draftId);
+  if (!draft) return;
+
+  if (!diffView.dataset.rendered) {
+    diffView.innerHTML = renderDiffView(draft.originalText || '', draft.finalText || '');
+    diffView.dataset.rendered = 'true';
+  }
+
+  diffView.hidden = !diffView.hidden;
+  button.textContent = diffView.hidden ? 'Show changes' : 'Hide changes';
+}
+
+function renderDiffView(originalText, finalText) {
+  const rows = window.buildDraftDiff(originalText, finalText);
+
+  const counts = { rewritten: 0, inserted: 0, deleted: 0, moved: 0 };
+  rows.forEach(row => {
+    if (row.type === 'rewritten') counts.rewritten++;
+    if (row.type === 'inserted') counts.inserted++;
+    if (row.type === 'deleted') counts.deleted++;
+    if (row.type === 'moved-to') counts.moved++;
+  });
+
+  const body = rows.map(row => {
+    switch (row.type) {
+      case 'equal':
+        return `<span class="diff-equal">${escapeHtml(row.text)}</span>`;
+      case 'inserted':
+        return `<ins class="diff-ins">${escapeHtml(row.text)}</ins>`;
+      case 'deleted':
+        return `<del class="diff-del">${escapeHtml(row.text)}</del>`;
+      case 'moved-from':
+        return `<del class="diff-moved-from" title="Moved further down">${escapeHtml(row.text)}</del>`;
+      case 'moved-to':
+        return `<span class="diff-moved" title="Moved from elsewhere">${row.words ? renderWordDiff(row.words) : escapeHtml(row.text)}</span>`;
+      case 'rewritten':
+        return `<span class="diff-rewritten">${renderWordDiff(row.words)}</span>`;
+      default:
+        return '';
+    }
+  }).join('');
+
+  return `
+    <div class="diff-legend">
+      ${counts.rewritten} rewritten · ${counts.inserted} added · ${counts.deleted} removed · ${counts.moved} moved
+    </div>
+    <div class="diff-body">${body}</div>
+  `;
+}
+
+// Expand/collapse a card's revision history, opened on the latest revision
+function handleHistoryToggle(event) {
+  const button = event.target.closest('.history-toggle');
+  const card = button.closest('.draft-card');
+  const revisionView = card.querySelector('.revision-view');
+  const draft = draftsById.get(button.dataset.draftId);
+  if (!draft) return;
+
+  if (!revisionView.dataset.rendered) {
+    const versions = window.replayRevisions(draft.originalText || '', draft.revisions);
+    revisionVersionsById.set(draft.id, versions);
+
+    // Only a draft that's still being edited has a compose window to restore into,
+    // and a masked draft would put placeholders back into the email
+    const canRestore = (draft.status === 'editing' || draft.status === 'pending') && !draft.textRedacted;
+    revisionView.innerHTML = `
+      <div class="revision-controls">
+        <input type="range" class="revision-scrubber" min="0" max="${versions.length - 1}" value="${versions.length - 1}" data-draft-id="${draft.id}">
+        <span class="revision-label"></span>
+      </div>
+      <div class="revision-text"></div>
+      <div class="revision-actions">
+        <button class="revision-copy" data-draft-id="${draft.id}">Copy this version</button>
+        ${canRestore ? `<button class="revision-restore" data-draft-id="${draft.id}">Restore in Gmail</button>` : ''}
+      </div>
+    `;
+    showRevision(revisionView, draft, versions.length - 1);
+    revisionView.dataset.rendered = 'true';
+  }
+
+  revisionView.hidden = !revisionView.hidden;
+  button.textContent = revisionView.hidden
+    ? `Show history (${draft.revisions.length} revision${draft.revisions.length === 1 ? '' : 's'})`
+    : 'Hide history';
+}
+
+function handleRevisionScrub(event) {
+  const scrubber = event.target.closest('.revision-scrubber');
+  if (!scrubber) return;
+
+  const draft = draftsById.get(scrubber.dataset.draftId);
+  if (draft) {
+    showRevision(scrubber.closest('.revision-view'), draft, Number(scrubber.value));
+  }
+}
+
+// Show one version, highlighting what changed since the version before it
+function showRevision(revisionView, draft, index) {
+  const versions = revisionVersionsById.get(draft.id);
+  const label = revisionView.querySelector('.revision-label');
+  const textView = revisionView.querySelector('.revision-text');
+
+  revisionView.dataset.index = index;
+
+  if (index === 0) {
+    label.textContent = 'Friday original';
+    textView.innerHTML = escapeHtml(versions[0]);
+    return;
+  }
+
+  const revision = draft.revisions[index - 1];
+  label.textContent = `Revision ${index} of ${versions.length - 1} · ${formatElapsed(revision.timestamp - draft.timestamp)} after generation` +
+    (revision.source === 'assistant' ? ` · ✨ ${REWRITE_ACTION_LABELS[revision.action] || 'Assistant'} rewrite` : '');
+  textView.innerHTML = renderWordDiff(window.diffWords(versions[index - 1], versions[index]));
+}
+
+function getSelectedRevisionText(button) {
+  const revisionView = button.closest('.revision-view');
+  const versions = revisionVersionsById.get(button.dataset.draftId);
+  return versions ? versions[Number(revisionView.dataset.index)] : null;
+}
+
+function copyRevision(event) {
+  const text = getSelectedRevisionText(event.target.closest('.revision-copy'));
+  if (text === null) return;
+
+  navigator.clipboard.writeText(text)
+    .then(() => showStatus('Version copied to clipboard ✓', '#059669'))
+    .catch(() => showStatus('Could not copy to clipboard', '#dc2626'));
+}
+
+// Ask every Gmail tab to put this version back into the draft's compose window
+function restoreRevision(event) {
+  const button = event.target.closest('.revision-restore');
+  const text = getSelectedRevisionText(button);
+  if (text === null) return;
+
+  chrome.tabs.query({ url: 'https://mail.google.com/*' }, (tabs) => {
+    const attempts = tabs.map(tab => new Promise((resolve) => {
+      chrome.tabs.sendMessage(tab.id, { type: 'restore_revision', draftId: button.dataset.draftId, text }, (response) => {
+        resolve(!chrome.runtime.lastError && !!response && response.restored);
+      });
+    }));
+
+    Promise.all(attempts).then((results) => {
+      if (results.some(Boolean)) {
+        showStatus('Version restored in Gmail ✓', '#059669');
+        return;
+      }
+
+      // The compose window is gone - the clipboard is the next best thing
+      navigator.clipboard.writeText(text)
+        .then(() => showStatus('Compose window closed - version copied instead', '#d97706'))
+        .catch(() => showStatus('Compose window for this draft is closed', '#dc2626'));
+    });
+  });
+}
+
+function formatElapsed(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function renderWordDiff(words) {
+  return words.map(segment => {
+    if (segment.type === 'insert') return `<ins class="diff-ins">${escapeHtml(segment.text)}</ins>`;
+    if (segment.type === 'delete') return `<del class="diff-del">${escapeHtml(segment.text)}</del>`;
+    return escapeHtml(segment.text);
+  }).join('');
+}
@@ -1,23 +1,10 @@
 /**
- * Clarity Scorer - Analyzes email clarity using OpenAI API
+ * Clarity Scorer - Analyzes email clarity using the configured model provider
  * Evaluates if main point is clear, checks for jargon, and ensures focused messaging
  */
 
 async function analyzeClarityScore(emailText) {
   try {
-    // Get API key from Chrome storage
-    const apiKey = await window.getOpenAIKey();
-    if (!apiKey) {
-      console.error('[Clarity Scorer] No API key found');
-      return {
-        score: 5,
-        mainIssues: ['OpenAI API key not configured'],
-        suggestions: ['Please add your OpenAI API key in the extension settings']
-      };
-    }
-
-    const config = window.EMAIL_ANALYZER_CONFIG.OPENAI;
-
     // Construct the analysis prompt
     const prompt = `You are an expert email communication analyst. Analyze the clarity of this email.
 
@@ -46,41 +33,12 @@ Focus on:
 
 If the email is clear, mainIssues can be an empty array and suggestions should reinforce what works well.`;
 
-    // Call OpenAI API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: config.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert email communication analyst. Always respond with valid JSON only.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: config.temperature,
-        max_tokens: config.maxTokens,
-        response_format: { type: 'json_object' }
-      })
+    // Call the configured model (OpenAI, compatible server or Anthropic)
+    const result = await window.requestLLMJson({
+      system: 'You are an expert email communication analyst. Always respond with valid JSON only.',
+      prompt
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('[Clarity Scorer] API error:', errorData);
-      throw new Error(`OpenAI API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const content = data.choices[0].message.content;
-    const result = JSON.parse(content);
-
     // Validate and normalize the response
     const normalizedResult = {
       score: Math.max(1, Math.min(10, result.score || 5)),
@@ -105,6 +63,19 @@ If the email is clear, mainIssues can be an empty array and suggestions should r
     return normalizedResult;
 
   } catch (error) {
+    // Heuristic mode or no key configured - local checks are the whole answer
+    if (error instanceof window.LLMUnavailableError) {
+      console.warn('[Clarity Scorer] Model unavailable, using local checks:', error.message);
+      const localChecks = performLocalClarityChecks(emailText);
+      return {
+        score: localChecks.score,
+        mainIssues: localChecks.issues,
+        suggestions: localChecks.issues.length > 0
+          ? ['Shorten long sentences and paragraphs', 'Lead with your main point in the first two sentences']
+          : ['Structure looks clear - keep the main point up front']
+      };
+    }
+
     console.error('[Clarity Scorer] Error:', error);
     // Fallback to local checks only
     const localChecks = performLocalClarityChecks(emailText);
@@ -0,0 +1,164 @@
+/**
+ * Edit Classifier - Classifies how a user edited a Friday draft without calling a model
+ * Pure logic using CONFIG.CTA_PATTERNS and CONFIG.FORMALITY_LEXICON. Produces the same
+ * labels as the model prompt in content.js so local and model records stay comparable.
+ */
+
+/**
+ * Classify tone, CTA and length changes between the original and final draft
+ * @param {string} originalText - Friday's draft
+ * @param {string} finalText - The user's version
+ * @returns {Object} { toneChange, ctaChange, lengthChange, summary }
+ */
+function classifyEditsLocally(originalText, finalText) {
+  try {
+    const toneChange = classifyToneChange(originalText, finalText);
+    const ctaChange = classifyCTAChange(originalText, finalText);
+    const lengthChange = classifyLengthChange(originalText, finalText);
+
+    return {
+      toneChange,
+      ctaChange,
+      lengthChange,
+      summary: summarizeLocalClassification(originalText, finalText, { toneChange, ctaChange, lengthChange })
+    };
+
+  } catch (error) {
+    console.error('[Edit Classifier] Error:', error);
+    return {
+      toneChange: 'No significant change',
+      ctaChange: 'No significant change',
+      lengthChange: 'No significant change',
+      summary: 'Unable to classify edits'
+    };
+  }
+}
+
+/**
+ * "More formal" / "More casual" / "No significant change"
+ * Compares the net count of formal vs. casual markers in each version
+ */
+function classifyToneChange(originalText, finalText) {
+  const threshold = window.EMAIL_ANALYZER_CONFIG.EDIT_CLASSIFIER.formalityShift;
+  const shift = measureFormality(finalText) - measureFormality(originalText);
+
+  if (shift >= threshold) return 'More formal';
+  if (shift <= -threshold) return 'More casual';
+  return 'No significant change';
+}
+
+/**
+ * Formal markers minus casual markers (contractions, greetings, sign-offs, hedges, slang)
+ */
+function measureFormality(text) {
+  const lexicon = window.EMAIL_ANALYZER_CONFIG.FORMALITY_LEXICON;
+
+  const casual = countPatternMatches(text, [lexicon.casual.contractions]) +
+                 countPatternMatches(text, lexicon.casual.greetings) +
+                 countPatternMatches(text, lexicon.casual.signOffs) +
+                 countPatternMatches(text, lexicon.casual.hedges) +
+                 countPatternMatches(text, lexicon.casual.slang);
+
+  const formal = countPatternMatches(text, lexicon.formal.greetings) +
+                 countPatternMatches(text, lexicon.formal.signOffs) +
+                 countPatternMatches(text, lexicon.formal.phrases);
+
+  return formal - casual;
+}
+
+/**
+ * "Vague → specific" / "CTA added" / "CTA removed" / "No significant change"
+ */
+function classifyCTAChange(originalText, finalText) {
+  const before = detectCTAStrength(originalText);
+  const after = detectCTAStrength(finalText);
+
+  if (!before.hasCTA && after.hasCTA) return 'CTA added';
+  if (before.hasCTA && !after.hasCTA) return 'CTA removed';
+  if (!before.hasCTA && !after.hasCTA) return 'No significant change';
+
+  // Both versions ask for something - did the ask get sharper or softer?
+  if (before.strong === 0 && after.strong > 0) return 'Vague → specific';
+  if (before.strong > 0 && after.strong === 0) return 'CTA removed';
+  if (after.timeReferences > before.timeReferences) return 'Vague → specific';
+
+  return 'No significant change';
+}
+
+function detectCTAStrength(text) {
+  const config = window.EMAIL_ANALYZER_CONFIG;
+  const strong = config.CTA_PATTERNS.strong.filter(pattern => pattern.test(text)).length;
+  const weak = config.CTA_PATTERNS.weak.filter(pattern => pattern.test(text)).length;
+
+  return {
+    strong,
+    weak,
+    hasCTA: strong + weak > 0,
+    timeReferences: countPatternMatches(text, [config.CTA_SPECIFICITY_PATTERN])
+  };
+}
+
+/**
+ * "Shortened" / "Expanded" / "No significant change"
+ */
+function classifyLengthChange(originalText, finalText) {
+  const threshold = window.EMAIL_ANALYZER_CONFIG.EDIT_CLASSIFIER.lengthChangePercent;
+  const change = calculateWordCountChange(originalText, finalText);
+
+  if (change > threshold) return 'Expanded';
+  if (change < -threshold) return 'Shortened';
+  return 'No significant change';
+}
+
+function calculateWordCountChange(originalText, finalText) {
+  const origWords = countWords(originalText);
+  const finalWords = countWords(finalText);
+  if (origWords === 0) return 0;
+  return ((finalWords - origWords) / origWords) * 100;
+}
+
+/**
+ * One sentence describing the biggest change, in the same spirit as the model's summary
+ */
+function summarizeLocalClassification(originalText, finalText, labels) {
+  const changes = [];
+
+  if (labels.ctaChange === 'Vague → specific') changes.push('made the call-to-action more specific');
+  if (labels.ctaChange === 'CTA added') changes.push('added a call-to-action');
+  if (labels.ctaChange === 'CTA removed') changes.push('removed or softened the call-to-action');
+  if (labels.toneChange === 'More formal') changes.push('made the tone more formal');
+  if (labels.toneChange === 'More casual') changes.push('made the tone more casual');
+  if (labels.lengthChange !== 'No significant change') {
+    const change = Math.round(Math.abs(calculateWordCountChange(originalText, finalText)));
+    changes.push(`${labels.lengthChange === 'Shortened' ? 'shortened' : 'expanded'} the email by ${change}%`);
+  }
+
+  if (changes.length === 0) {
+    return 'User reworded the draft without changing tone, CTA or length.';
+  }
+
+  const sentence = changes.length === 1
+    ? changes[0]
+    : `${changes.slice(0, -1).join(', ')} and ${changes[changes.length - 1]}`;
+  return `User ${sentence}.`;
+}
+
+// Global patterns count every hit; non-global ones count at most once
+function countPatternMatches(text, patterns) {
+  return patterns.reduce((total, pattern) => {
+    if (pattern.global) {
+      return total + (text.match(pattern) || []).length;
+    }
+    return total + (pattern.test(text) ? 1 : 0);
+  }, 0);
+}
+
+function countWords(text) {
+  return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.classifyEditsLocally = classifyEditsLocally;
+  window.classifyLengthChange = classifyLengthChange;
+}
@@ -1,25 +1,10 @@
 /**
- * Tone Analyzer - Analyzes email tone appropriateness using OpenAI API
+ * Tone Analyzer - Analyzes email tone appropriateness using the configured model provider
  * Evaluates tone against recipient type and provides specific feedback
  */
 
 async function analyzeToneScore(emailText, recipientType = 'professional') {
   try {
-    // Get API key from Chrome storage
-    const apiKey = await getOpenAIKey();
-    if (!apiKey) {
-      console.error('[Tone Analyzer] No API key found');
-      return {
-        score: 5,
-        currentTone: 'unknown',
-        recommendedTone: recipientType,
-        issues: ['OpenAI API key not configured'],
-        suggestions: ['Please add your OpenAI API key in the extension settings']
-      };
-    }
-
-    const config = window.EMAIL_ANALYZER_CONFIG.OPENAI;
-
     // Construct the analysis prompt
     const prompt = `You are an expert email communication analyst. Analyze the tone of this email intended for a ${recipientType} recipient.
 
@@ -44,41 +29,12 @@ Return your analysis as a JSON object with this exact structure:
 
 Be specific and actionable in your feedback. Focus on concrete improvements.`;
 
-    // Call OpenAI API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: config.model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert email communication analyst. Always respond with valid JSON only.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: config.temperature,
-        max_tokens: config.maxTokens,
-        response_format: { type: 'json_object' }
-      })
+    // Call the configured model (OpenAI, compatible server or Anthropic)
+    const result = await window.requestLLMJson({
+      system: 'You are an expert email communication analyst. Always respond with valid JSON only.',
+      prompt
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('[Tone Analyzer] API error:', errorData);
-      throw new Error(`OpenAI API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    const content = data.choices[0].message.content;
-    const result = JSON.parse(content);
-
     // Validate and normalize the response
     const normalizedResult = {
       score: Math.max(1, Math.min(10, result.score || 5)),
@@ -92,6 +48,20 @@ Be specific and actionable in your feedback. Focus on concrete improvements.`;
     return normalizedResult;
 
   } catch (error) {
+    // Heuristic mode or no key configured - not an error, just nothing to call
+    if (error instanceof window.LLMUnavailableError) {
+      console.warn('[Tone Analyzer] Model unavailable:', error.message);
+      return {
+        score: 5,
+        currentTone: 'unknown',
+        recommendedTone: recipientType,
+        issues: [error.reason === 'heuristic' ? 'Tone scoring needs a model provider' : error.message],
+        suggestions: [error.reason === 'heuristic'
+          ? 'Choose a model provider in the extension settings to score tone'
+          : 'Please add your API key in the extension settings']
+      };
+    }
+
     console.error('[Tone Analyzer] Error:', error);
     return {
       score: 5,
@@ -103,42 +73,7 @@ Be specific and actionable in your feedback. Focus on concrete improvements.`;
   }
 }
 
-/**
- * Helper function to get OpenAI API key from Chrome storage
- */
-async function getOpenAIKey() {
-  return new Promise((resolve) => {
-    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
-      chrome.storage.sync.get(['openai_api_key'], (result) => {
-        resolve(result.openai_api_key || '');
-      });
-    } else {
-      // Fallback for testing outside Chrome extension environment
-      resolve(localStorage.getItem('openai_api_key') || '');
-    }
-  });
-}
-
-/**
- * Helper function to save OpenAI API key to Chrome storage
- */
-async function saveOpenAIKey(apiKey) {
-  return new Promise((resolve) => {
-    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
-      chrome.storage.sync.set({ openai_api_key: apiKey }, () => {
-        resolve(true);
-      });
-    } else {
-      // Fallback for testing
-      localStorage.setItem('openai_api_key', apiKey);
-      resolve(true);
-    }
-  });
-}
-
-// Make functions available globally
+// Make function available globally
 if (typeof window !== 'undefined') {
   window.analyzeToneScore = analyzeToneScore;
-  window.getOpenAIKey = getOpenAIKey;
-  window.saveOpenAIKey = saveOpenAIKey;
 }
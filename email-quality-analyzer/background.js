@@ -0,0 +1,324 @@
+/**
+ * Friday Draft Edit Analyzer - Background Service Worker
+ * Owns the API key and makes every model call. Content scripts send requests over
+ * chrome.runtime messaging; we queue them, dedupe them per draft, cap concurrency and
+ * request rate, and retry 429/5xx responses with exponential backoff. Every prompt has its
+ * PII masked (piiRedactor.js) before it goes to the provider.
+ * Also measures edit percentages for drafts too large to diff on Gmail's main thread,
+ * writes draft records to IndexedDB on behalf of the content scripts, applies the
+ * retention policy on a chrome.alarms schedule, and uploads finished drafts to the team
+ * collector when sync is on (teamSync.js).
+ */
+
+importScripts('config.js', 'llmClient.js', 'llmProviders.js', 'piiRedactor.js', 'textDiff.js', 'draftStore.js', 'teamSync.js');
+
+const QUEUE_CONFIG = self.EMAIL_ANALYZER_CONFIG.LLM_QUEUE;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Jobs waiting for a slot, oldest first
+const pendingJobs = [];
+
+// Jobs waiting out a retry backoff (back in pendingJobs once their timer fires)
+const retryingJobs = new Set();
+
+// Identical prompts that are queued or in flight share one job (and one API call)
+const jobsByPayload = new Map();
+
+// Start times of recent provider calls, for the per-minute limit
+const recentRequestTimes = [];
+
+const PRUNE_ALARM = 'prune-drafts';
+
+let activeJobCount = 0;
+let drainTimer = null;
+
+console.log('[Friday Background] Service worker started');
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message) return false;
+
+  if (message.type === 'llm_request') {
+    enqueueLLMRequest(message.request, message.dedupeKey)
+      .then(result => sendResponse({ result }))
+      .catch(error => sendResponse({ error: serializeLLMError(error) }));
+
+    // Keep the message channel open until the queued request settles
+    return true;
+  }
+
+  // Large drafts are diffed here, off Gmail's main thread
+  if (message.type === 'measure_edits') {
+    sendResponse({ result: measureEditPercentages(message.originalText, message.finalText) });
+    return false;
+  }
+
+  // Content scripts live in Gmail's origin, so draft records reach the extension's IndexedDB through here
+  if (message.type === 'draft_store') {
+    runDraftStoreOperation(message)
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error('[Friday Background] Draft store write failed:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  // The options page saved a new retention policy - apply it now rather than at the next alarm
+  if (message.type === 'apply_retention') {
+    runRetention()
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error('[Friday Background] Retention run failed:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  // Options page: "Send now", "Queue existing drafts" and the status line
+  if (message.type === 'team_sync') {
+    runTeamSyncOperation(message)
+      .then(result => sendResponse({ result }))
+      .catch(error => {
+        console.error('[Friday Background] Team sync request failed:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  return false;
+});
+
+// Keyboard shortcut (see "commands" in manifest.json) for the full analytics tab
+chrome.commands.onCommand.addListener((command) => {
+  if (command === 'open-analytics') {
+    chrome.tabs.create({ url: chrome.runtime.getURL('analytics.html') });
+  }
+});
+
+// Run the migration as soon as the extension is installed/updated instead of waiting for the first draft
+chrome.runtime.onInstalled.addListener(() => {
+  getDraftDB().catch(error => console.error('[Friday Background] Could not open draft database:', error));
+  schedulePruning();
+  scheduleTeamSync();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  schedulePruning();
+  scheduleTeamSync();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === PRUNE_ALARM) {
+    runRetention().catch(error => console.error('[Friday Background] Retention run failed:', error));
+  } else if (alarm.name === TEAM_SYNC_ALARM) {
+    flushSyncOutbox().catch(error => console.error('[Friday Background] Team sync failed:', error));
+  }
+});
+
+// Alarms survive browser restarts, so only create it when it's missing (or the interval changed)
+function schedulePruning() {
+  const periodInMinutes = self.EMAIL_ANALYZER_CONFIG.RETENTION.pruneIntervalMinutes;
+  chrome.alarms.get(PRUNE_ALARM, (alarm) => {
+    if (alarm && alarm.periodInMinutes === periodInMinutes) return;
+    chrome.alarms.create(PRUNE_ALARM, { delayInMinutes: 1, periodInMinutes });
+  });
+}
+
+/**
+ * Apply the saved retention policy and remember when it last ran (the options page shows it)
+ * @returns {Promise<Object>} { at, deleted, stripped }
+ */
+async function runRetention() {
+  const counts = await pruneDrafts(await getRetentionPolicy());
+  const lastRun = { at: Date.now(), ...counts };
+  chrome.storage.local.set({ retention_last_run: lastRun });
+
+  if (counts.deleted > 0 || counts.stripped > 0) {
+    console.log(`[Friday Background] Retention: deleted ${counts.deleted} drafts, dropped text from ${counts.stripped}`);
+    chrome.runtime.sendMessage({ type: 'drafts_changed' }, () => {
+      if (chrome.runtime.lastError) {
+        // No analytics tab open - nothing to refresh
+      }
+    });
+  }
+  return lastRun;
+}
+
+function runDraftStoreOperation(message) {
+  switch (message.operation) {
+    case 'add':
+      return addDraft(message.record);
+    case 'update':
+      return updateDraft(message.id, message.changes).then(written => {
+        // Finished drafts never change again, so that's when they go to the team collector
+        if (written && TERMINAL_STATUSES.includes(message.changes.status)) queueDraftForSync(message.id);
+        return written;
+      });
+    case 'append_revision':
+      return appendDraftRevision(message.id, message.revision);
+    default:
+      return Promise.reject(new Error(`Unknown draft store operation: ${message.operation}`));
+  }
+}
+
+function runTeamSyncOperation(message) {
+  switch (message.operation) {
+    case 'flush':
+      return flushSyncOutbox({ force: true });
+    case 'queue_existing':
+      return queueExistingDraftsForSync().then(queued => flushSyncOutbox({ force: true }).then(result => ({ queued, ...result })));
+    case 'status':
+      return getTeamSyncStatus();
+    default:
+      return Promise.reject(new Error(`Unknown team sync operation: ${message.operation}`));
+  }
+}
+
+/**
+ * Add a request to the queue
+ * @param {Object} rawRequest - { system, prompt, maxTokens, temperature }, prompt not yet redacted
+ * @param {string|null} dedupeKey - A newer request with the same key replaces a queued one
+ * @returns {Promise<Object>} Parsed JSON reply
+ */
+async function enqueueLLMRequest(rawRequest, dedupeKey) {
+  // Heuristic mode / missing key: answer right away instead of burning a rate-limit slot
+  const unavailableError = getLLMUnavailableError(await getLLMSettings());
+  if (unavailableError) {
+    throw unavailableError;
+  }
+
+  // The prompt carries the email text; system instructions are ours and never contain any
+  const request = { ...rawRequest, prompt: redactPII(rawRequest.prompt, await getRedactionSettings()) };
+
+  const payloadKey = JSON.stringify(request);
+
+  const existingJob = jobsByPayload.get(payloadKey);
+  if (existingJob) {
+    return new Promise((resolve, reject) => {
+      existingJob.waiters.push({ resolve, reject });
+    });
+  }
+
+  // Only the newest text for a draft is worth analyzing - drop the older one if it isn't running
+  if (dedupeKey) {
+    supersedeQueuedJob(dedupeKey);
+  }
+
+  return new Promise((resolve, reject) => {
+    const job = {
+      payloadKey,
+      dedupeKey,
+      request,
+      attempt: 0,
+      retryTimer: null,
+      waiters: [{ resolve, reject }]
+    };
+
+    pendingJobs.push(job);
+    jobsByPayload.set(payloadKey, job);
+    drainQueue();
+  });
+}
+
+/**
+ * Start as many queued jobs as the concurrency and rate limits allow
+ */
+function drainQueue() {
+  clearTimeout(drainTimer);
+  drainTimer = null;
+
+  while (pendingJobs.length > 0 && activeJobCount < QUEUE_CONFIG.maxConcurrent) {
+    const waitMs = getRateLimitDelay();
+    if (waitMs > 0) {
+      drainTimer = setTimeout(drainQueue, waitMs);
+      return;
+    }
+
+    runJob(pendingJobs.shift());
+  }
+}
+
+// How long until the sliding one-minute window has room for another call
+function getRateLimitDelay() {
+  const now = Date.now();
+  while (recentRequestTimes.length > 0 && now - recentRequestTimes[0] >= RATE_WINDOW_MS) {
+    recentRequestTimes.shift();
+  }
+
+  if (recentRequestTimes.length < QUEUE_CONFIG.maxRequestsPerMinute) return 0;
+  return RATE_WINDOW_MS - (now - recentRequestTimes[0]);
+}
+
+async function runJob(job) {
+  activeJobCount++;
+  recentRequestTimes.push(Date.now());
+
+  try {
+    const result = await callConfiguredLLM(job.request);
+    settleJob(job, waiter => waiter.resolve(result));
+  } catch (error) {
+    if (isRetryableError(error) && job.attempt < QUEUE_CONFIG.maxRetries) {
+      job.attempt++;
+      const delay = error.retryAfterMs || getBackoffDelay(job.attempt);
+      console.warn(`[Friday Background] ${error.message} - retry ${job.attempt}/${QUEUE_CONFIG.maxRetries} in ${delay}ms`);
+
+      // Back of the line is fine; the job stays in jobsByPayload so duplicates keep joining it,
+      // and in retryingJobs so a newer request for the same draft can still replace it
+      retryingJobs.add(job);
+      job.retryTimer = setTimeout(() => {
+        retryingJobs.delete(job);
+        pendingJobs.push(job);
+        drainQueue();
+      }, delay);
+    } else {
+      console.error('[Friday Background] Request failed:', error);
+      settleJob(job, waiter => waiter.reject(error));
+    }
+  } finally {
+    activeJobCount--;
+    drainQueue();
+  }
+}
+
+// Reject the queued (or backing-off) job for this dedupeKey, if there is one
+function supersedeQueuedJob(dedupeKey) {
+  let staleJob = null;
+  const staleIndex = pendingJobs.findIndex(job => job.dedupeKey === dedupeKey);
+  if (staleIndex !== -1) {
+    [staleJob] = pendingJobs.splice(staleIndex, 1);
+  } else {
+    staleJob = Array.from(retryingJobs).find(job => job.dedupeKey === dedupeKey) || null;
+    if (!staleJob) return;
+    retryingJobs.delete(staleJob);
+    clearTimeout(staleJob.retryTimer);
+  }
+
+  settleJob(staleJob, waiter => {
+    waiter.reject(new LLMSupersededError('Replaced by a newer request for the same draft'));
+  });
+}
+
+function settleJob(job, settle) {
+  jobsByPayload.delete(job.payloadKey);
+  job.waiters.forEach(settle);
+}
+
+// Rate limited or the provider had a server-side hiccup
+function isRetryableError(error) {
+  return error.status === 429 || (error.status >= 500 && error.status < 600);
+}
+
+// 1s, 2s, 4s... plus up to 250ms of jitter so parallel retries don't line up
+function getBackoffDelay(attempt) {
+  return QUEUE_CONFIG.baseRetryDelay * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 250);
+}
+
+// Errors can't cross chrome.runtime messaging as-is, so send the parts llmClient.js needs
+function serializeLLMError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    reason: error.reason,
+    status: error.status
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Compose Context - Reads the subject line and recipients out of a Gmail compose window
+ * Pure DOM helpers shared by the score panel and the edit tracker
+ */
+
+/**
+ * Read subject and recipients for a compose window
+ * @param {Element} composeRoot - Container holding the compose textbox and its Send button
+ * @returns {Object} { subject, to: string[], cc: string[] }
+ */
+function getComposeContext(composeRoot) {
+  if (!composeRoot) {
+    return { subject: '', to: [], cc: [] };
+  }
+
+  return {
+    subject: getComposeSubject(composeRoot),
+    to: getComposeRecipients(composeRoot, 'to'),
+    cc: getComposeRecipients(composeRoot, 'cc')
+  };
+}
+
+/**
+ * New messages have a subject box; replies inherit the subject of the open thread
+ */
+function getComposeSubject(composeRoot) {
+  const subjectInput = composeRoot.querySelector('input[name="subjectbox"]');
+  if (subjectInput && subjectInput.value) {
+    return subjectInput.value.trim();
+  }
+
+  const threadSubject = document.querySelector('h2[data-thread-perm-id], h2.hP');
+  return threadSubject ? threadSubject.textContent.trim() : '';
+}
+
+/**
+ * Collect recipient addresses for one field ("to" or "cc")
+ * Gmail renders each recipient as a chip carrying an email attribute, and keeps
+ * anything still being typed in the field's input.
+ */
+function getComposeRecipients(composeRoot, field) {
+  const addresses = new Set();
+
+  const fieldInput = composeRoot.querySelector(`input[name="${field}"], textarea[name="${field}"]`) ||
+                     composeRoot.querySelector(`input[aria-label^="${field === 'to' ? 'To' : 'Cc'}"]`);
+  const fieldContainer = fieldInput ? fieldInput.closest('tr, [role="group"]') || fieldInput.parentElement : null;
+
+  if (fieldContainer) {
+    fieldContainer.querySelectorAll('[email], [data-hovercard-id]').forEach(chip => {
+      const email = chip.getAttribute('email') || chip.getAttribute('data-hovercard-id');
+      if (email && email.includes('@')) addresses.add(email.toLowerCase());
+    });
+  }
+
+  if (fieldInput && fieldInput.value) {
+    fieldInput.value.split(/[,;]/)
+      .map(value => value.trim().toLowerCase())
+      .filter(value => value.includes('@'))
+      .forEach(value => addresses.add(value));
+  }
+
+  return Array.from(addresses);
+}
+
+/**
+ * Gmail's thread id for a compose written inside an open conversation (inline reply/forward).
+ * New messages open in their own compose dialog outside the conversation view, so they get null.
+ */
+function getComposeThreadId(composeRoot) {
+  if (!composeRoot || !composeRoot.closest('[role="main"]')) return null;
+
+  const threadHeading = document.querySelector('h2[data-thread-perm-id]');
+  return threadHeading ? threadHeading.getAttribute('data-thread-perm-id') : null;
+}
+
+/**
+ * Unique domains for a list of addresses - enough to group by company without keeping who was emailed
+ */
+function getRecipientDomains(addresses) {
+  const domains = addresses
+    .map(address => address.slice(address.lastIndexOf('@') + 1).replace(/>$/, '').trim())
+    .filter(domain => domain.length > 0);
+  return Array.from(new Set(domains));
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.getComposeContext = getComposeContext;
+  window.getComposeThreadId = getComposeThreadId;
+  window.getRecipientDomains = getRecipientDomains;
+}
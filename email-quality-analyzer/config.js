@@ -75,6 +75,48 @@ const CONFIG = {
     maxTokens: 500
   },
 
+  // Model providers selectable in the popup settings
+  LLM_PROVIDERS: {
+    openai: {
+      label: 'OpenAI',
+      baseUrl: 'https://api.openai.com/v1',
+      defaultModel: 'gpt-4o-mini',
+      keyStorageKey: 'openai_api_key',
+      requiresKey: true
+    },
+    openai_compatible: {
+      label: 'OpenAI-compatible (Ollama, llama.cpp...)',
+      baseUrl: 'http://localhost:11434/v1',
+      defaultModel: 'llama3.1',
+      keyStorageKey: 'compatible_api_key',
+      requiresKey: false
+    },
+    anthropic: {
+      label: 'Anthropic',
+      baseUrl: 'https://api.anthropic.com/v1',
+      defaultModel: 'claude-3-5-haiku-latest',
+      keyStorageKey: 'anthropic_api_key',
+      requiresKey: true
+    },
+    heuristic: {
+      label: 'Heuristic only (no network calls)',
+      baseUrl: '',
+      defaultModel: '',
+      keyStorageKey: null,
+      requiresKey: false
+    }
+  },
+
+  DEFAULT_LLM_PROVIDER: 'openai',
+
+  // Background worker request queue (all model traffic goes through it)
+  LLM_QUEUE: {
+    maxConcurrent: 2,            // Requests in flight at once
+    maxRequestsPerMinute: 20,    // Sliding window across all providers
+    maxRetries: 3,               // Retries for 429 / 5xx responses
+    baseRetryDelay: 1000         // Doubles on every retry (plus jitter)
+  },
+
   // Email type detection keywords
   EMAIL_TYPE_KEYWORDS: {
     cold_outreach: ['intro', 'introduction', 'reaching out', 'connect'],
@@ -88,10 +130,151 @@ const CONFIG = {
     investor: ['vc', 'ventures', 'capital', 'partners', 'fund'],
     customer: ['customer', 'client', 'support'],
     professional: [] // Default fallback
+  },
+
+  // Formality lexicon for the offline edit classifier
+  FORMALITY_LEXICON: {
+    casual: {
+      contractions: /\b\w+(n't|'re|'ll|'ve|'m|'d)\b/gi,
+      greetings: [/^\s*(hey|hiya|yo)\b/im, /^\s*hi there\b/im],
+      signOffs: [/^\s*(cheers|thanks!|thx|talk soon|ttyl|later)\b/im],
+      hedges: [/\bjust\b/gi, /\bkinda\b/gi, /\bsort of\b/gi, /\bi guess\b/gi, /\bmaybe\b/gi],
+      slang: [/\b(gonna|wanna|gotta|btw|fyi|awesome|cool|super|stuff|lol)\b/gi, /!/g]
+    },
+    formal: {
+      greetings: [/^\s*dear\b/im, /^\s*good (morning|afternoon|evening)\b/im],
+      signOffs: [/^\s*(sincerely|respectfully|best regards|kind regards|warm regards|regards)\b/im],
+      phrases: [
+        /\bi would like to\b/gi,
+        /\bplease find\b/gi,
+        /\bat your earliest convenience\b/gi,
+        /\b(furthermore|moreover|therefore|however|regarding)\b/gi,
+        /\bi (appreciate|would appreciate)\b/gi,
+        /\bplease do not hesitate\b/gi
+      ]
+    }
+  },
+
+  // Specific time references turn a vague CTA into a concrete one
+  CTA_SPECIFICITY_PATTERN: /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday|tomorrow|this week|next week|\d{1,2}(:\d{2})?\s?(am|pm)|\d+[- ]min(ute)?s?)\b/gi,
+
+  // Offline edit classifier thresholds
+  EDIT_CLASSIFIER: {
+    formalityShift: 2,           // Net formal-vs-casual marker change needed to call a tone shift
+    lengthChangePercent: 20      // Word count change needed to call it shortened/expanded
+  },
+
+  // Prompt improvement report (see promptReport.js) - when an edit pattern counts as consistent
+  PROMPT_REPORT: {
+    minDrafts: 5,                // Sent drafts a pattern needs before it's reported
+    minShare: 0.4,               // Share of the email type's sent drafts that show it
+    typeShareMargin: 0.15,       // A per-type finding must beat the all-emails share by this much to be listed too
+    examplesPerPattern: 3        // Most recent before/after pairs kept as evidence
+  },
+
+  // Learned edit rules (see editRules.js) - phrase replacements users keep making by hand
+  EDIT_RULES: {
+    minDrafts: 2,                // Sent drafts a replacement has to show up in
+    maxPhraseWords: 12,          // Longer changes are rewrites, not phrase rules
+    maxRules: 50                 // Length of the ranked list
+  },
+
+  // Live underlines in the compose body (see inlineSuggestions.js)
+  INLINE_SUGGESTIONS: {
+    refreshDelay: 800,           // Re-check the text this long (ms) after typing stops
+    // Specific asks offered in place of a sentence with a weak CTA (each matches a strong CTA pattern)
+    ctaRewrites: {
+      cold_outreach: 'Are you free for a 15-minute call on Tuesday or Wednesday?',
+      investor_email: 'Would you be open to a 20-minute call next week?',
+      customer_reply: 'Would a quick call on Tuesday or Wednesday work for you?',
+      follow_up: 'Would Tuesday or Wednesday work for you for a quick 15-minute call?'
+    },
+    // Sentences that can usually go when an email runs past its ideal length
+    fillerSentences: [
+      /\bhope (this|that|you|all)\b.*\b(well|great|good)\b/i,
+      /\bwanted to (reach out|follow up|check in|touch base)\b/i,
+      /\bjust (checking in|following up|circling back)\b/i,
+      /\bplease (don'?t|do not) hesitate\b/i,
+      /\bthank(s| you)( so much)? for your time\b/i
+    ],
+    // Cuts applied to the longest sentence when there's no filler to drop: [pattern, replacement]
+    tightenings: [
+      [/\bin order to\b/gi, 'to'],
+      [/\bdue to the fact that\b/gi, 'because'],
+      [/\bat this point in time\b/gi, 'now'],
+      [/\bI (think|believe|feel) that\s+/gi, ''],
+      [/\b(just|really|very|actually|basically|simply|quite|definitely)\s+/gi, '']
+    ]
+  },
+
+  // One-click model rewrites from the compose toolbar (see rewriteToolbar.js)
+  AI_REWRITE: {
+    maxTokens: 1200,             // The reply carries the whole email, so more room than an analysis
+    temperature: 0.3
+  },
+
+  // How Friday drafts are recognised in a compose window (see fridayDetector.js)
+  FRIDAY_DETECTION: {
+    minConfidence: 0.5,          // Detections below this are ignored (plain pastes and bare scripted inserts score under it)
+    minInsertChars: 100,         // Non-typed text needed before a paste/insert counts
+    burstGap: 2000,              // Inserts closer together than this (ms) count as one
+    settleDelay: 1000,           // Wait this long (ms) for a streamed insert to finish before capturing it
+    handshakeWindow: 10000,      // A generator handshake matches inserts within this many ms
+    confidence: {
+      marker: 1.0,               // Inserted element carries data-friday-draft
+      handshake: 0.95,           // Generator announced the insert via postMessage
+      clipboard_marker: 0.9,     // Pasted from Friday's "Copy draft"
+      programmatic_insert: 0.4,  // Text appeared without typing or pasting - could be Friday, but also Gmail's signature,
+                                 // quoted text or templates, or another extension, so not enough on its own
+      unverified_paste: 0.3      // Plain paste from an unknown source
+    }
+  },
+
+  // Per-draft revision log (one entry per typing pause)
+  REVISION_HISTORY: {
+    maxRevisions: 100            // Oldest revisions are merged together past this
+  },
+
+  // PII masking before text reaches a model provider (see piiRedactor.js).
+  // Defaults - the options page saves the user's choices under "pii_redaction" in chrome.storage.sync
+  PII_REDACTION: {
+    emails: true,
+    phones: true,
+    urls: true,
+    names: true,                 // Names after a greeting ("Hi Sam,") or under a sign-off ("Best,\nSam")
+    money: true,
+    customPatterns: [],          // Extra regex sources, matched case-insensitively
+    storeRedactedOnly: false     // Also mask the text saved to the draft store
+  },
+
+  // Draft retention. Defaults keep everything - the options page saves the user's policy under
+  // "retention" in chrome.storage.sync. 0 means no limit.
+  RETENTION: {
+    maxAgeDays: 0,               // Delete drafts older than this
+    maxCount: 0,                 // Keep at most this many drafts (oldest go first)
+    dropBodiesAfterDays: 0,      // Strip the email text (keeping metrics) from drafts older than this
+    pruneIntervalMinutes: 360    // How often the background worker applies the policy
+  },
+
+  // Optional upload of finished drafts to a self-hosted collector (see collector/ at the repo root).
+  // Off by default - the options page saves the user's choices under "team_sync" in chrome.storage.sync.
+  TEAM_SYNC: {
+    enabled: false,
+    endpoint: '',                // Full collector URL, e.g. http://localhost:8787/drafts
+    token: '',                   // Sent as "Authorization: Bearer <token>" when set
+    userLabel: '',               // Tags every record (sourceUser) so the team's drafts can be told apart
+    include: 'metrics',          // 'metrics' (no email text), 'masked' (text with PII masked) or 'full'
+    batchSize: 50,               // Drafts per POST; a full outbox is sent without waiting for the alarm
+    flushIntervalMinutes: 15,    // How often the background worker sends whatever is queued
+    requestTimeoutMs: 15000,
+    retryBaseMs: 60 * 1000,      // First retry after a failed upload; doubles after each failure
+    retryMaxMs: 6 * 60 * 60 * 1000
   }
 };
 
-// Make config available globally
+// Make config available globally (content scripts/popup get window, the background worker gets self)
 if (typeof window !== 'undefined') {
   window.EMAIL_ANALYZER_CONFIG = CONFIG;
+} else if (typeof self !== 'undefined') {
+  self.EMAIL_ANALYZER_CONFIG = CONFIG;
 }
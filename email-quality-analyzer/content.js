@@ -8,20 +8,38 @@
 
   console.log('[Friday Edit Analyzer] Content script loaded');
 
-  // Keep track of the current draft we're monitoring
-  let currentDraft = null;
+  // One session per open compose textbox, so a reply and a new compose can each carry their own Friday draft
+  const composeSessions = new Map();
+
+  // The compose window the user last interacted with ("Schedule send" menus aren't inside any window)
+  let activeSession = null;
+
+  // PII masking choices from the options page (defaults until storage answers)
+  let redactionSettings = window.EMAIL_ANALYZER_CONFIG.PII_REDACTION;
 
   // Remember which compose windows we've already set up watchers for (prevents duplicates)
   let watchedComposeWindows = new WeakSet();
 
   // Thresholds for detecting Friday drafts and when to analyze edits
+  // (provenance signals and confidences live in CONFIG.FRIDAY_DETECTION)
   const DETECTION_CONFIG = {
-    MIN_WORD_COUNT: 30,              // Need at least 30 words to be a draft
-    BULK_INSERT_THRESHOLD: 2000,     // Text appearing in under 2 seconds = probably pasted
+    MIN_WORD_COUNT: 30,              // Need at least 30 words to be a draft (unless Friday marked it)
     MIN_EDIT_PERCENTAGE: 10,         // Don't bother analyzing if user changed less than 10%
-    ANALYSIS_DELAY: 3000             // Wait 3 seconds after user stops typing before we analyze
+    ANALYSIS_DELAY: 3000,            // Wait 3 seconds after user stops typing before we analyze
+    SEND_CONFIRM_TIMEOUT: 5000,      // A Send the compose window outlives by this much was refused by Gmail
+    WORKER_DIFF_THRESHOLD: 2000      // Combined characters above which the diff runs in the background worker
   };
 
+  // What readEmailContext stores on a draft record
+  const EMAIL_CONTEXT_FIELDS = [
+    'subject', 'toDomains', 'ccDomains', 'recipients', 'threadId', 'composeType', 'isReply', 'emailType', 'recipientType'
+  ];
+
+  // How we recognise Gmail's compose controls (tooltips look like "Send ‪(Ctrl-Enter)‬")
+  const SEND_BUTTON_PATTERN = /^Send\b/;
+  const SCHEDULE_SEND_PATTERN = /^Schedule send\b/i;
+  const DISCARD_BUTTON_PATTERN = /^Discard draft\b/i;
+
   // Kick things off once Gmail loads
   function initialize() {
     console.log('[Friday Edit Analyzer] Initializing...');
@@ -29,6 +47,18 @@
       console.log('[Friday Edit Analyzer] Gmail detected, monitoring compose windows');
       observeComposeWindows();
     });
+
+    window.listenForFridayHandshake();
+    window.watchRedactionSettings(settings => {
+      redactionSettings = settings;
+    });
+
+    // The dashboard can push an earlier revision back into an open compose window
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message || message.type !== 'restore_revision') return false;
+      sendResponse({ restored: restoreRevision(message.draftId, message.text) });
+      return false;
+    });
   }
 
   // Gmail takes a sec to load, so wait for it
@@ -48,6 +78,11 @@
   function observeComposeWindows() {
     const observer = new MutationObserver((mutations) => {
       mutations.forEach((mutation) => {
+        // A compose window closing removes its textbox - tear down any session whose textbox is gone
+        if (mutation.removedNodes.length > 0 && composeSessions.size > 0) {
+          closeDetachedSessions();
+        }
+
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType === 1) {
             // Look for ANY textbox where users type (compose, reply, forward)
@@ -69,10 +104,7 @@
             // Monitor all found textboxes (compose, reply, forward)
             textBoxes.forEach(textBox => {
               if (!watchedComposeWindows.has(textBox)) {
-                const ariaLabel = textBox.getAttribute('aria-label') || '';
-                const boxType = ariaLabel.includes('Reply') ? 'reply' :
-                               ariaLabel.includes('Forward') ? 'forward' : 'compose';
-                console.log(`[Friday Edit Analyzer] ✅ Found ${boxType} textbox`);
+                console.log(`[Friday Edit Analyzer] ✅ Found ${getComposeType(textBox)} textbox`);
                 watchedComposeWindows.add(textBox);
                 setTimeout(() => monitorComposeWindow(textBox), 500);
               }
@@ -90,6 +122,14 @@
 
     console.log('[Friday Edit Analyzer] MutationObserver attached to document.body');
 
+    // "Schedule send" lives in a menu attached to <body>, not inside the compose window
+    document.addEventListener('click', (event) => {
+      const item = event.target.closest && event.target.closest('[role="menuitem"]');
+      if (item && SCHEDULE_SEND_PATTERN.test((item.textContent || '').trim())) {
+        handleScheduleSendChosen(activeSession);
+      }
+    }, true);
+
     // Also check if there are any compose windows already open
     const existingWindows = document.querySelectorAll('[role="dialog"]');
     console.log('[Friday Edit Analyzer] Found', existingWindows.length, 'existing dialogs');
@@ -117,186 +157,660 @@
       return;
     }
 
+    // Gmail can hand us the same textbox via its dialog and via the observer
+    if (composeSessions.has(textBox) || !textBox.isConnected) return;
+
     console.log('[Friday Edit Analyzer] ✅ Monitoring textbox for changes');
 
-    // Track state for this specific compose window
-    let lastText = '';
-    let lastChangeTime = Date.now();
-    let fridayDraftDetected = false;
-    let analysisTimer = null;
+    // Everything we know about this specific compose window lives on its session
+    const session = {
+      textBox,
+      composeRoot: findComposeRoot(textBox),
+      composeType: getComposeType(textBox),
+      draft: null,
+      lastText: '',
+      lastChangeTime: Date.now(),
+      detection: window.createDetectionState(),
+      pendingDetection: null,
+      detectionTimer: null,
+      analysisTimer: null,
+      scheduleSendPending: false,
+      sendPending: null,
+      observer: null,
+      suggestions: null,
+      rewriteToolbar: null,
+      listeners: []
+    };
+    composeSessions.set(textBox, session);
+
+    // Underlines for a weak CTA or an over-long email, each with a one-click rewrite
+    session.suggestions = window.attachInlineSuggestions(textBox, {
+      getEmailType: (text) => getSessionEmailType(session, text),
+      onEvent: (type, suggestion) => recordSuggestionOutcome(session, type, suggestion)
+    });
+
+    // "✨ Rewrite" - model rewrites, previewed as a diff and logged as the assistant's edits
+    session.rewriteToolbar = window.attachRewriteToolbar(textBox, {
+      getEmailType: (text) => getSessionEmailType(session, text),
+      beforeApply: () => prepareAssistantRewrite(session),
+      onApply: (rewrite) => recordAssistantRewrite(session, rewrite)
+    });
 
     // Watch every time the text changes in this compose window
-    const observer = new MutationObserver(() => {
+    session.observer = new MutationObserver(() => {
       const currentText = textBox.innerText || textBox.textContent || '';
       const currentTime = Date.now();
 
       // Skip if nothing actually changed
-      if (currentText === lastText) return;
-
-      const wordCount = currentText.split(/\s+/).filter(w => w.length > 0).length;
-      const timeDelta = currentTime - lastChangeTime;
-      const textAdded = currentText.length - lastText.length;
-
-      console.log('[Friday Edit Analyzer] 📝 Text changed:', {
-        wordCount,
-        textAdded,
-        timeDelta,
-        meetsWordCount: wordCount >= DETECTION_CONFIG.MIN_WORD_COUNT,
-        meetsTextAdded: textAdded > 100,
-        meetsTimeDelta: timeDelta < DETECTION_CONFIG.BULK_INSERT_THRESHOLD,
-        alreadyDetected: fridayDraftDetected
-      });
+      if (currentText === session.lastText) return;
 
-      // THIS IS THE KEY PART: Detect if this looks like a Friday draft
-      // We're looking for: lots of text appearing very quickly (paste pattern)
-      if (!fridayDraftDetected &&
-          wordCount >= DETECTION_CONFIG.MIN_WORD_COUNT &&
-          textAdded > 100 &&
-          timeDelta < DETECTION_CONFIG.BULK_INSERT_THRESHOLD) {
+      session.suggestions.refresh();
+
+      // Still editing after Send, so Gmail didn't take it (missing recipient, blocked attachment...)
+      if (session.sendPending) clearSendPending(session);
 
-        console.log('[Friday Edit Analyzer] 🎯 Friday draft detected!');
+      // THIS IS THE KEY PART: Detect if this looks like a Friday draft
+      // fridayDetector.js weighs the marker/handshake, clipboard source and paste/typing events
+      if (!session.draft) {
+        const detection = window.evaluateFridayInsert(session.detection, textBox, session.lastText, currentText);
+
+        console.log('[Friday Edit Analyzer] 📝 Text changed:', {
+          textAdded: currentText.length - session.lastText.length,
+          timeDelta: currentTime - session.lastChangeTime,
+          detection
+        });
 
-        fridayDraftDetected = true;
-        handleFridayDraftDetected(textBox, currentText);
+        if (detection) {
+          scheduleDraftCapture(session, detection);
+        }
       }
 
       // If we detected a Friday draft, track all subsequent edits
-      if (fridayDraftDetected && currentDraft) {
+      if (session.draft && !session.draft.finalized) {
         // Reset the timer every time they type (so we only analyze after they stop)
-        if (analysisTimer) {
-          clearTimeout(analysisTimer);
-        }
+        clearTimeout(session.analysisTimer);
 
-        // Wait 3 seconds after they stop typing, then analyze what changed
-        analysisTimer = setTimeout(() => {
-          analyzeCurrentEdits(currentText);
+        // Wait 3 seconds after they stop typing, then log the revision and analyze what changed
+        session.analysisTimer = setTimeout(() => {
+          recordRevision(session, currentText);
+          analyzeCurrentEdits(session, currentText);
         }, DETECTION_CONFIG.ANALYSIS_DELAY);
       }
 
-      lastText = currentText;
-      lastChangeTime = currentTime;
+      session.lastText = currentText;
+      session.lastChangeTime = currentTime;
     });
 
-    observer.observe(textBox, {
+    session.observer.observe(textBox, {
       childList: true,
       subtree: true,
       characterData: true
     });
+
+    // Hook the Send / Discard buttons. Capture phase so we read the text before Gmail tears the window down
+    if (session.composeRoot) {
+      addSessionListener(session, session.composeRoot, 'click', (event) => {
+        activeSession = session;
+
+        const button = event.target.closest && event.target.closest('[role="button"]');
+        if (!button || !session.draft) return;
+
+        const label = getControlLabel(button);
+        if (SEND_BUTTON_PATTERN.test(label)) {
+          handleSendAttempted(session);
+        } else if (DISCARD_BUTTON_PATTERN.test(label)) {
+          handleDraftAbandoned(session, 'discarded');
+        }
+      });
+    } else {
+      console.warn('[Friday Edit Analyzer] Could not find Send button for this textbox');
+    }
+
+    // Ctrl+Enter (Cmd+Enter on Mac) is Gmail's keyboard shortcut for Send
+    addSessionListener(session, textBox, 'keydown', (event) => {
+      window.noteKeyboardInput(session.detection, event);
+      if (session.draft && event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        handleSendAttempted(session);
+      }
+    });
+
+    // Where inserted text came from - typed, pasted, dropped, or copied out of Friday
+    ['paste', 'drop', 'beforeinput'].forEach(type => {
+      addSessionListener(session, textBox, type, (event) => {
+        window.noteInsertEvent(session.detection, event);
+      });
+    });
+
+    // The score panel follows whichever compose window has focus
+    addSessionListener(session, textBox, 'focusin', () => {
+      activeSession = session;
+      window.showScorePanel(textBox, session.composeRoot);
+    });
+  }
+
+  // Register a capture-phase listener we can remove again when the window closes
+  function addSessionListener(session, target, type, handler) {
+    target.addEventListener(type, handler, true);
+    session.listeners.push({ target, type, handler });
+  }
+
+  // Reply and forward bodies say so in their aria-label; anything else is a new message
+  function getComposeType(textBox) {
+    const ariaLabel = textBox.getAttribute('aria-label') || '';
+    return ariaLabel.includes('Reply') ? 'reply' :
+           ariaLabel.includes('Forward') ? 'forward' : 'compose';
+  }
+
+  // Walk up from the textbox until we hit the container that also holds the Send button
+  function findComposeRoot(textBox) {
+    let node = textBox.parentElement;
+    while (node && node !== document.body) {
+      const buttons = node.querySelectorAll('[role="button"]');
+      if (Array.from(buttons).some(button => SEND_BUTTON_PATTERN.test(getControlLabel(button)))) {
+        return node;
+      }
+      node = node.parentElement;
+    }
+    return null;
+  }
+
+  function getControlLabel(element) {
+    return (element.getAttribute('data-tooltip') || element.getAttribute('aria-label') || '').trim();
+  }
+
+  // Friday may still be streaming its draft in - wait for the text to settle before capturing the original
+  function scheduleDraftCapture(session, detection) {
+    if (!window.isConfidentDetection(detection)) return;
+
+    // Keep the strongest evidence seen for this insert (e.g. a handshake arriving after the first piece)
+    if (!session.pendingDetection || detection.confidence > session.pendingDetection.confidence) {
+      session.pendingDetection = detection;
+    }
+
+    clearTimeout(session.detectionTimer);
+    session.detectionTimer = setTimeout(() => {
+      const pending = session.pendingDetection;
+      session.pendingDetection = null;
+      if (session.draft || !session.textBox.isConnected) return;
+
+      const text = readSessionText(session);
+      const wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
+
+      // A marker or handshake is proof on its own; anything weaker also has to look like a full draft
+      const explicit = pending.reason === 'marker' || pending.reason === 'handshake';
+      if (wordCount === 0 || (!explicit && wordCount < DETECTION_CONFIG.MIN_WORD_COUNT)) return;
+
+      console.log('[Friday Edit Analyzer] 🎯 Friday draft detected!', pending);
+      handleFridayDraftDetected(session, text, pending);
+    }, window.EMAIL_ANALYZER_CONFIG.FRIDAY_DETECTION.settleDelay);
   }
 
   // We detected a Friday draft! Save the original text so we can compare later
-  function handleFridayDraftDetected(textBox, originalText) {
+  function handleFridayDraftDetected(session, originalText, detection) {
     const draftId = generateDraftId();
 
-    currentDraft = {
+    session.draft = {
       id: draftId,
-      textBox: textBox,
       originalText: originalText,
       originalWordCount: originalText.split(/\s+/).filter(w => w.length > 0).length,
       generatedAt: new Date().toISOString(),
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      detectionConfidence: detection.confidence,
+      detectionReason: detection.reason,
+      generationId: detection.generationId || null,
+      context: readEmailContext(session, originalText),
+      // Fixed for the draft's lifetime so its stored text and revision log stay in one form
+      storeRedacted: redactionSettings.storeRedactedOnly,
+      // Inline suggestions shown while editing, by suggestion key (see recordSuggestionOutcome)
+      suggestionLog: new Map(),
+      // Toolbar rewrites applied to this draft (see recordAssistantRewrite)
+      assistantRewrites: [],
+      finalized: false
     };
+    session.draft.storedOriginalText = toStoredText(session.draft, originalText);
+    // Underlines already on screen were shown before there was a draft to log them against
+    session.suggestions.list().forEach(suggestion => recordSuggestionOutcome(session, 'shown', suggestion));
+    session.draft.revisionText = session.draft.storedOriginalText;
 
     console.log('[Friday Edit Analyzer] Captured draft:', {
       id: draftId,
-      wordCount: currentDraft.originalWordCount
+      wordCount: session.draft.originalWordCount,
+      detectionReason: detection.reason,
+      detectionConfidence: detection.confidence,
+      composeType: session.draft.context.composeType,
+      emailType: session.draft.context.emailType
     });
 
-    storeDraft(currentDraft);
+    storeDraft(session.draft);
+    storeOriginalQuality(session.draft);
+  }
+
+  // The original never changes, so score it once up front - every record gets the baseline for the
+  // before/after comparison, even if the final scoring never runs (tab closed mid-edit)
+  function storeOriginalQuality(draft) {
+    scoreOriginalQuality(draft, draft.context)
+      .then(originalQuality => {
+        if (originalQuality) updateDraftWithAnalysis(draft, { originalQuality });
+      })
+      .catch(error => {
+        console.error('[Friday Edit Analyzer] ❌ Scoring the original draft failed:', error);
+      });
   }
 
   // User stopped typing for 3 seconds, time to analyze what they changed
-  function analyzeCurrentEdits(currentText) {
-    if (!currentDraft) return;
-
-    const editPercentage = calculateEditPercentage(currentDraft.originalText, currentText);
-
-    // Only bother analyzing if they changed at least 10%
-    if (editPercentage >= DETECTION_CONFIG.MIN_EDIT_PERCENTAGE) {
-      console.log('[Friday Edit Analyzer] ✏️ Analyzing edits:', editPercentage + '%');
-
-      const wordCount = currentText.split(/\s+/).filter(w => w.length > 0).length;
-      const timeSinceGeneration = Date.now() - currentDraft.timestamp;
-
-      // Send to OpenAI to figure out what kind of changes they made
-      analyzeEdits(currentDraft.originalText, currentText, editPercentage, timeSinceGeneration)
-        .then(analysis => {
-          console.log('[Friday Edit Analyzer] 📊 Analysis result:', analysis);
-          // Save the analysis results
-          updateDraftWithAnalysis(currentDraft.id, {
-            finalText: currentText,
-            finalWordCount: wordCount,
-            sentAt: new Date().toISOString(),
-            sendDelay: timeSinceGeneration,
-            editPercentage,
-            ...analysis,
-            status: 'editing'
+  function analyzeCurrentEdits(session, currentText) {
+    const draft = session.draft;
+
+    // Once the draft is sent or abandoned its record is final - a late debounce must not overwrite it
+    if (!draft || draft.finalized) return;
+
+    measureEdits(draft.originalText, currentText)
+      .then(metrics => {
+        const editPercentage = metrics.editPercentage;
+
+        // Only bother analyzing if they changed at least 10% (and they haven't sent it in the meantime)
+        if (draft.finalized || editPercentage < DETECTION_CONFIG.MIN_EDIT_PERCENTAGE) return;
+
+        console.log('[Friday Edit Analyzer] ✏️ Analyzing edits:', metrics);
+
+        const wordCount = currentText.split(/\s+/).filter(w => w.length > 0).length;
+        const timeSinceGeneration = Date.now() - draft.timestamp;
+        const context = refreshEmailContext(session);
+
+        // Ask the model to figure out what kind of changes they made. Quality is only scored once,
+        // on the final text (finalizeDraft) - scoring every pause would add two model calls each time.
+        return analyzeEdits(draft.originalText, currentText, editPercentage, timeSinceGeneration, draft.id)
+          .then(analysis => {
+            console.log('[Friday Edit Analyzer] 📊 Analysis result:', analysis);
+            // Save the analysis results
+            updateDraftWithAnalysis(draft, {
+              finalText: currentText,
+              finalWordCount: wordCount,
+              analyzedAt: new Date().toISOString(),
+              ...context,
+              ...metrics,
+              ...analysis,
+              status: 'editing'
+            });
           });
-        })
-        .catch(error => {
-          console.error('[Friday Edit Analyzer] ❌ Analysis failed:', error);
-        });
+      })
+      .catch(error => {
+        // They kept typing and a newer analysis replaced this one in the queue
+        if (error instanceof window.LLMSupersededError) return;
+        console.error('[Friday Edit Analyzer] ❌ Analysis failed:', error);
+      });
+  }
+
+  // Append the text as of this pause to the draft's revision log, as a patch against the previous revision.
+  // tags mark revisions the user didn't type themselves ({ source: 'assistant', action }).
+  function recordRevision(session, currentText, tags = {}) {
+    const draft = session.draft;
+    if (!draft) return;
+
+    // Revisions patch the stored text, so they're masked too when the original was
+    const text = toStoredText(draft, currentText);
+    if (text === draft.revisionText) return;
+
+    const revision = {
+      timestamp: Date.now(),
+      ...window.createTextPatch(draft.revisionText, text),
+      ...tags
+    };
+    draft.revisionText = text;
+
+    appendDraftRevision(draft.id, revision);
+  }
+
+  // A Friday draft is judged against the type it was captured as; any other compose window by what it says now
+  function getSessionEmailType(session, text) {
+    return session.draft
+      ? session.draft.context.emailType
+      : window.detectEmailType(window.getComposeContext(session.composeRoot).subject, text);
+  }
+
+  // A toolbar rewrite is about to replace the text: log what the user typed up to now as theirs,
+  // and keep the insert from being mistaken for a Friday draft arriving
+  function prepareAssistantRewrite(session) {
+    window.noteAnalyzerInsert(session.detection);
+    if (session.draft && !session.draft.finalized) recordRevision(session, readSessionText(session));
+  }
+
+  // The rewrite is in - it gets a revision of its own, tagged as the assistant's, and an entry on the record
+  function recordAssistantRewrite(session, { action, emailType, before, after }) {
+    const draft = session.draft;
+    if (!draft || draft.finalized) return;
+
+    recordRevision(session, readSessionText(session), { source: 'assistant', action });
+    draft.assistantRewrites.push({
+      action,
+      emailType,
+      appliedAt: Date.now(),
+      wordsBefore: before.split(/\s+/).filter(w => w.length > 0).length,
+      wordsAfter: after.split(/\s+/).filter(w => w.length > 0).length
+    });
+    console.log('[Friday Edit Analyzer] ✨ Assistant rewrite applied:', action);
+  }
+
+  // Note each inline suggestion the draft was shown and whether the user applied or dismissed it.
+  // Only Friday drafts are tracked - other compose windows get the underlines but have no record.
+  function recordSuggestionOutcome(session, type, suggestion) {
+    const draft = session.draft;
+    if (!draft || draft.finalized) return;
+
+    // The underline may have appeared before the draft was captured, so any event can open the entry
+    if (!draft.suggestionLog.has(suggestion.key)) {
+      draft.suggestionLog.set(suggestion.key, {
+        kind: suggestion.kind,
+        ...(suggestion.phrase ? { phrase: suggestion.phrase } : {}),
+        outcome: 'shown',
+        shownAt: Date.now()
+      });
     }
+    if (type === 'shown') return;
+
+    const entry = draft.suggestionLog.get(suggestion.key);
+    entry.outcome = type;
+    entry.resolvedAt = Date.now();
+    console.log(`[Friday Edit Analyzer] 💡 Inline suggestion ${type}:`, suggestion.kind);
+  }
+
+  // Replace the compose text with a version picked in the dashboard. Only works while that window is open.
+  function restoreRevision(draftId, text) {
+    const session = Array.from(composeSessions.values())
+      .find(s => s.draft && s.draft.id === draftId && !s.draft.finalized && s.textBox.isConnected);
+    if (!session) return false;
+
+    // insertText goes through Gmail's own input handling and keeps Ctrl+Z working
+    session.textBox.focus();
+    document.execCommand('selectAll', false);
+    document.execCommand('insertText', false, text);
+
+    console.log('[Friday Edit Analyzer] ⏪ Restored an earlier revision of', draftId);
+    return true;
+  }
+
+  // User hit Send (button or Ctrl/Cmd+Enter). Gmail can still refuse it, so grab the text now
+  // and only count it as sent once the compose window goes away (handleComposeClosed).
+  function handleSendAttempted(session) {
+    if (!session.draft || session.draft.finalized) return;
+
+    clearSendPending(session);
+    session.lastText = readSessionText(session);
+    session.sendPending = {
+      attemptedAt: Date.now(),
+      timer: setTimeout(() => {
+        console.log('[Friday Edit Analyzer] ↩️ Send not confirmed, still editing');
+        clearSendPending(session);
+      }, DETECTION_CONFIG.SEND_CONFIRM_TIMEOUT)
+    };
+  }
+
+  function clearSendPending(session) {
+    if (!session.sendPending) return;
+    clearTimeout(session.sendPending.timer);
+    session.sendPending = null;
+  }
+
+  // Gmail took the send - record exactly what went out
+  function handleDraftSent(session, { scheduled = false, sentAt = Date.now() } = {}) {
+    if (!session.draft || session.draft.finalized) return;
+
+    console.log('[Friday Edit Analyzer] 📤 Draft sent' + (scheduled ? ' (scheduled)' : ''));
+
+    const finalText = readSessionText(session);
+    finalizeDraft(session, finalText, {
+      status: 'sent',
+      sentAt: new Date(sentAt).toISOString(),
+      scheduledSend: scheduled
+    });
+  }
+
+  // User discarded the compose window (or closed it without sending)
+  function handleDraftAbandoned(session, reason) {
+    if (!session.draft || session.draft.finalized) return;
+
+    console.log('[Friday Edit Analyzer] 🗑️ Draft abandoned:', reason);
+
+    finalizeDraft(session, readSessionText(session), {
+      status: 'abandoned',
+      abandonedAt: new Date().toISOString(),
+      abandonReason: reason
+    });
+  }
+
+  // Picking "Schedule send" opens a date picker and then closes the compose window.
+  // Grab the text now and treat the close as the send.
+  function handleScheduleSendChosen(session) {
+    if (!session || !session.draft || session.draft.finalized || !session.textBox.isConnected) return;
+
+    session.scheduleSendPending = true;
+    session.lastText = readSessionText(session);
+  }
+
+  // The live text if the textbox is still on the page, otherwise the last text we observed
+  function readSessionText(session) {
+    if (session.textBox.isConnected) {
+      return session.textBox.innerText || session.textBox.textContent || session.lastText;
+    }
+    return session.lastText;
+  }
+
+  // Any session whose textbox has left the DOM belongs to a closed compose window
+  function closeDetachedSessions() {
+    composeSessions.forEach((session) => {
+      if (!session.textBox.isConnected) {
+        handleComposeClosed(session);
+      }
+    });
+  }
+
+  // The compose window disappeared - resolve its draft if Discard didn't already, then clean up.
+  // Right after a Send, this is Gmail confirming it.
+  function handleComposeClosed(session) {
+    if (session.draft && !session.draft.finalized) {
+      if (session.sendPending) {
+        handleDraftSent(session, { sentAt: session.sendPending.attemptedAt });
+      } else if (session.scheduleSendPending) {
+        handleDraftSent(session, { scheduled: true });
+      } else {
+        handleDraftAbandoned(session, 'closed');
+      }
+    }
+
+    clearSendPending(session);
+    clearTimeout(session.detectionTimer);
+    clearTimeout(session.analysisTimer);
+    session.observer.disconnect();
+    session.suggestions.destroy();
+    session.rewriteToolbar.destroy();
+    session.listeners.forEach(({ target, type, handler }) => {
+      target.removeEventListener(type, handler, true);
+    });
+    session.listeners = [];
+
+    composeSessions.delete(session.textBox);
+    if (activeSession === session) activeSession = null;
+    window.hideScorePanel(session.textBox);
+
+    console.log('[Friday Edit Analyzer] 🧹 Compose window closed, session cleaned up');
+  }
+
+  // Lock the record with its outcome, then run one last analysis on the text at send/abandon time
+  function finalizeDraft(session, finalText, outcome) {
+    const draft = session.draft;
+    recordRevision(session, finalText);
+    draft.finalized = true;
+    clearTimeout(session.analysisTimer);
+
+    const wordCount = finalText.split(/\s+/).filter(w => w.length > 0).length;
+    const sendDelay = Date.now() - draft.timestamp;
+    const analyzedAt = new Date().toISOString();
+    const context = refreshEmailContext(session);
+
+    measureEdits(draft.originalText, finalText)
+      .then(metrics => {
+        // Save the outcome now - the model calls below can sit in the background queue (rate limit,
+        // retries) long enough for the tab to close, and the draft mustn't stay "editing" if they never finish
+        updateDraftWithAnalysis(draft, {
+          finalText,
+          finalWordCount: wordCount,
+          analyzedAt,
+          sendDelay,
+          ...context,
+          ...metrics,
+          ...outcome
+        });
+
+        // Below the threshold there's nothing worth classifying, so skip the API call
+        const analysisPromise = metrics.editPercentage >= DETECTION_CONFIG.MIN_EDIT_PERCENTAGE
+          ? analyzeEdits(draft.originalText, finalText, metrics.editPercentage, sendDelay, draft.id)
+          : Promise.resolve({
+              toneChange: 'No significant change',
+              ctaChange: 'No significant change',
+              lengthChange: window.classifyLengthChange(draft.originalText, finalText),
+              summary: `Minimal edits (under ${DETECTION_CONFIG.MIN_EDIT_PERCENTAGE}%)`,
+              analysisSource: 'local'
+            });
+
+        // Whatever finishes is merged in - a failed classification shouldn't cost the quality scores or vice versa
+        return Promise.allSettled([analysisPromise, scoreDraftQuality(draft, finalText, context)])
+          .then(results => {
+            // The status again, so team sync re-queues the record now that it's complete
+            const analysisData = { analyzedAt: new Date().toISOString(), status: outcome.status };
+            results.forEach(result => {
+              if (result.status === 'fulfilled') {
+                Object.assign(analysisData, result.value);
+              } else {
+                console.error('[Friday Edit Analyzer] ❌ Final analysis failed:', result.reason);
+              }
+            });
+            updateDraftWithAnalysis(draft, analysisData);
+          });
+      });
   }
 
   /**
-   * Calculate edit percentage between two texts
+   * Subject, recipients, thread and compose type for the draft's record.
+   * Recipients are kept as domains only. Email and recipient type come from the same
+   * index.js heuristics the score panel uses, run on the original Friday text.
    */
-  function calculateEditPercentage(original, final) {
-    const distance = levenshteinDistance(original, final);
-    const maxLength = Math.max(original.length, final.length);
-    return Math.round((distance / maxLength) * 100);
+  function readEmailContext(session, originalText) {
+    const compose = window.getComposeContext(session.composeRoot);
+    const toDomains = window.getRecipientDomains(compose.to);
+    const ccDomains = window.getRecipientDomains(compose.cc);
+    const threadId = window.getComposeThreadId(session.composeRoot);
+
+    // The aria-label doesn't always say "Reply" - a compose inside the open conversation, or a "Re:" subject, is one too
+    let composeType = session.composeType;
+    if (composeType === 'compose' && (threadId || /^re:/i.test(compose.subject))) {
+      composeType = 'reply';
+    }
+
+    return {
+      subject: compose.subject,
+      toDomains,
+      ccDomains,
+      recipients: Array.from(new Set(toDomains.concat(ccDomains))),   // Both fields together, for the store's recipients index
+      threadId,
+      composeType,
+      isReply: composeType === 'reply',
+      emailType: window.detectEmailType(compose.subject, originalText),
+      recipientType: window.detectRecipientType(compose.to.join(' '), originalText)
+    };
+  }
+
+  // Recipients and subject are often filled in after Friday inserts the draft, so re-read them at every analysis
+  function refreshEmailContext(session) {
+    const draft = session.draft;
+    if (session.textBox.isConnected) {
+      draft.context = readEmailContext(session, draft.originalText);
+    }
+    return draft.context;
   }
 
   /**
-   * Levenshtein distance algorithm
+   * Score the original Friday draft and the user's version with the index.js pipeline
+   * so we can tell whether the edits made the email better or worse on each metric
    */
-  function levenshteinDistance(str1, str2) {
-    const len1 = str1.length;
-    const len2 = str2.length;
-    const matrix = [];
+  function scoreDraftQuality(draft, finalText, context) {
+    // Both versions are scored as the same email/recipient type so the delta is apples to apples
+    const { emailType, recipientType } = context;
+
+    return Promise.all([
+      scoreOriginalQuality(draft, context),
+      window.analyzeEmail(finalText, emailType, recipientType).then(summarizeQualityResult)
+    ]).then(([originalQuality, finalQuality]) => ({
+      originalQuality,
+      finalQuality,
+      qualityDelta: calculateQualityDelta(originalQuality, finalQuality)
+    }));
+  }
 
-    for (let i = 0; i <= len1; i++) {
-      matrix[i] = [i];
+  // The original never changes, so only score it again if the email/recipient type did
+  function scoreOriginalQuality(draft, { emailType, recipientType }) {
+    const originalQualityKey = `${emailType}:${recipientType}`;
+    if (draft.originalQualityKey !== originalQualityKey) {
+      draft.originalQualityKey = originalQualityKey;
+      draft.originalQualityPromise = window.analyzeEmail(draft.originalText, emailType, recipientType)
+        .then(summarizeQualityResult);
     }
+    return draft.originalQualityPromise;
+  }
 
-    for (let j = 0; j <= len2; j++) {
-      matrix[0][j] = j;
-    }
+  // Keep just the scores and breakdown from analyzeEmail - suggestions are only useful live
+  function summarizeQualityResult(result) {
+    if (!result || result.error) return null;
 
-    for (let i = 1; i <= len1; i++) {
-      for (let j = 1; j <= len2; j++) {
-        const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j - 1] + cost
-        );
-      }
+    return {
+      overallScore: result.overallScore,
+      breakdown: result.breakdown,
+      emailType: result.metadata.emailType,
+      recipientType: result.metadata.recipientType
+    };
+  }
+
+  // Positive numbers mean the user's edits improved that metric
+  function calculateQualityDelta(originalQuality, finalQuality) {
+    if (!originalQuality || !finalQuality) return null;
+
+    return {
+      overall: finalQuality.overallScore - originalQuality.overallScore,
+      tone: finalQuality.breakdown.tone.score - originalQuality.breakdown.tone.score,
+      clarity: finalQuality.breakdown.clarity.score - originalQuality.breakdown.clarity.score,
+      cta: finalQuality.breakdown.cta.score - originalQuality.breakdown.cta.score,
+      length: finalQuality.breakdown.length.score - originalQuality.breakdown.length.score
+    };
+  }
+
+  /**
+   * Character, word and sentence edit percentages between the original and current text.
+   * Small drafts are measured right here; big ones go to the background worker so a long
+   * reply never stalls typing in Gmail.
+   */
+  function measureEdits(original, final) {
+    if (original.length + final.length <= DETECTION_CONFIG.WORKER_DIFF_THRESHOLD) {
+      return Promise.resolve(window.measureEditPercentages(original, final));
     }
 
-    return matrix[len1][len2];
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'measure_edits', originalText: original, finalText: final }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.result) {
+          // Worker asleep or unreachable - measuring here is slower but still correct
+          console.warn('[Friday Edit Analyzer] Background diff unavailable, measuring in page');
+          resolve(window.measureEditPercentages(original, final));
+          return;
+        }
+        resolve(response.result);
+      });
+    });
   }
 
   /**
-   * Analyze edits using OpenAI API
+   * Analyze edits using the configured model provider
    */
-  async function analyzeEdits(originalText, finalText, editPercentage, sendDelay) {
+  async function analyzeEdits(originalText, finalText, editPercentage, sendDelay, draftId) {
     try {
-      console.log('[Friday Edit Analyzer] 🔑 Getting API key...');
-      const apiKey = await getOpenAIKey();
-
-      if (!apiKey) {
-        console.warn('[Friday Edit Analyzer] ⚠️ No OpenAI API key configured');
-        return {
-          toneChange: 'Unable to analyze (no API key)',
-          ctaChange: 'Unable to analyze (no API key)',
-          lengthChange: categorizeLengthChange(originalText, finalText),
-          summary: 'No API key configured'
-        };
-      }
-
-      console.log('[Friday Edit Analyzer] 🚀 Making OpenAI API call...');
+      console.log('[Friday Edit Analyzer] 🚀 Asking the model to classify edits...');
 
       const prompt = `You are analyzing how a user edited an AI-generated email draft before sending.
 
@@ -336,59 +850,33 @@ Return your analysis as a JSON object:
   "summary": "<1 sentence describing the most significant change>"
 }`;
 
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: 'You are an expert at analyzing email edits. Always respond with valid JSON only.' },
-            { role: 'user', content: prompt }
-          ],
-          temperature: 0,
-          max_tokens: 500,
-          response_format: { type: 'json_object' }
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const result = JSON.parse(data.choices[0].message.content);
+      // Keyed per draft so the background queue only keeps the newest pending analysis
+      const result = await window.requestLLMJson({
+        system: 'You are an expert at analyzing email edits. Always respond with valid JSON only.',
+        prompt
+      }, { dedupeKey: `edits:${draftId}` });
 
-      return result;
+      return { ...result, analysisSource: 'model' };
 
     } catch (error) {
-      console.error('[Friday Edit Analyzer] Error analyzing edits:', error);
+      if (error instanceof window.LLMSupersededError) {
+        throw error;
+      }
+
+      // Heuristic mode, no key, or the API failed - classify locally with the same labels
+      if (error instanceof window.LLMUnavailableError) {
+        console.warn('[Friday Edit Analyzer] ⚠️ Model unavailable, classifying locally:', error.message);
+      } else {
+        console.error('[Friday Edit Analyzer] Error analyzing edits, classifying locally:', error);
+      }
 
-      // Fallback to simple heuristics
       return {
-        toneChange: 'Unable to analyze (API error)',
-        ctaChange: 'Unable to analyze (API error)',
-        lengthChange: categorizeLengthChange(originalText, finalText),
-        summary: 'Analysis failed'
+        ...window.classifyEditsLocally(originalText, finalText),
+        analysisSource: 'local'
       };
     }
   }
 
-  /**
-   * Simple heuristic for length change
-   */
-  function categorizeLengthChange(original, final) {
-    const origWords = original.split(/\s+/).length;
-    const finalWords = final.split(/\s+/).length;
-    const change = ((finalWords - origWords) / origWords) * 100;
-
-    if (change > 20) return 'Expanded';
-    if (change < -20) return 'Shortened';
-    return 'No significant change';
-  }
-
   /**
    * Generate unique draft ID
    */
@@ -396,71 +884,100 @@ Return your analysis as a JSON object:
     return 'draft_' + Date.now() + '_' + Math.random().toString(36).substring(2, 11);
   }
 
-  /**
-   * Get OpenAI API key from storage
-   */
-  async function getOpenAIKey() {
-    return new Promise((resolve) => {
-      if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
-        chrome.storage.sync.get(['openai_api_key'], (result) => {
-          resolve(result.openai_api_key || '');
-        });
-      } else {
-        resolve(localStorage.getItem('openai_api_key') || '');
-      }
-    });
+  // The text as it should land in the draft store - masked when the user keeps only redacted text.
+  // Analysis always runs on the real text here; the background worker masks model prompts itself.
+  function toStoredText(draft, text) {
+    return draft.storeRedacted ? window.redactPII(text, redactionSettings) : text;
   }
 
   /**
-   * Store draft in Chrome storage
+   * Store a newly detected draft
    */
   function storeDraft(draft) {
     const draftRecord = {
       id: draft.id,
-      originalText: draft.originalText,
+      originalText: draft.storedOriginalText,
       originalWordCount: draft.originalWordCount,
       generatedAt: draft.generatedAt,
       timestamp: draft.timestamp,
+      detectionConfidence: draft.detectionConfidence,
+      detectionReason: draft.detectionReason,
+      generationId: draft.generationId,
+      ...draft.context,
+      subject: toStoredText(draft, draft.context.subject),
       status: 'pending'
     };
+    if (draft.storeRedacted) draftRecord.textRedacted = true;
 
-    // Get existing drafts and add this one
-    chrome.storage.local.get(['drafts'], (result) => {
-      const drafts = result.drafts || [];
-      drafts.push(draftRecord);
-      chrome.storage.local.set({ drafts }, () => {
-        console.log('[Friday Edit Analyzer] ✅ Draft stored in Chrome storage');
-      });
+    sendDraftStoreMessage({ operation: 'add', record: draftRecord })
+      .then(() => console.log('[Friday Edit Analyzer] ✅ Draft stored'));
+  }
+
+  /**
+   * Update draft with analysis results. Only the fields in analysisData are written, so an
+   * update can add to what an earlier one stored; without a status the stored one is kept.
+   */
+  function updateDraftWithAnalysis(draft, analysisData) {
+    const changes = {
+      finalText: analysisData.finalText === undefined ? undefined : toStoredText(draft, analysisData.finalText),
+      finalWordCount: analysisData.finalWordCount,
+      analyzedAt: analysisData.analyzedAt,
+      sentAt: analysisData.sentAt,
+      scheduledSend: analysisData.scheduledSend,
+      abandonedAt: analysisData.abandonedAt,
+      abandonReason: analysisData.abandonReason,
+      sendDelay: analysisData.sendDelay,
+      editPercentage: analysisData.editPercentage,
+      wordEditPercentage: analysisData.wordEditPercentage,
+      sentenceEditPercentage: analysisData.sentenceEditPercentage,
+      toneChange: analysisData.toneChange,
+      ctaChange: analysisData.ctaChange,
+      lengthChange: analysisData.lengthChange,
+      summary: analysisData.summary,
+      analysisSource: analysisData.analysisSource,
+      originalQuality: analysisData.originalQuality,
+      finalQuality: analysisData.finalQuality,
+      qualityDelta: analysisData.qualityDelta,
+      inlineSuggestions: Array.from(draft.suggestionLog.values()),
+      assistantRewrites: draft.assistantRewrites,
+      status: analysisData.status
+    };
+    Object.keys(changes).forEach(field => {
+      if (changes[field] === undefined) delete changes[field];
     });
+
+    EMAIL_CONTEXT_FIELDS.forEach(field => {
+      if (analysisData[field] !== undefined) changes[field] = analysisData[field];
+    });
+    if (changes.subject) changes.subject = toStoredText(draft, changes.subject);
+
+    // The store drops late "editing" updates once the draft is sent or abandoned
+    sendDraftStoreMessage({ operation: 'update', id: draft.id, changes })
+      .then(written => {
+        if (written) console.log('[Friday Edit Analyzer] ✅ Draft updated:', draft.id, changes);
+      });
+  }
+
+  function appendDraftRevision(draftId, revision) {
+    sendDraftStoreMessage({ operation: 'append_revision', id: draftId, revision });
   }
 
   /**
-   * Update draft with analysis results
+   * Drafts live in the extension's IndexedDB, which this script (running in Gmail's origin)
+   * can't open - the background worker does the write in a single transaction.
+   * Messages from one tab arrive in order, so an add is always stored before its updates.
    */
-  function updateDraftWithAnalysis(draftId, analysisData) {
-    chrome.storage.local.get(['drafts'], (result) => {
-      const drafts = result.drafts || [];
-      const draftIndex = drafts.findIndex(d => d.id === draftId);
-
-      if (draftIndex !== -1) {
-        drafts[draftIndex] = {
-          ...drafts[draftIndex],
-          finalText: analysisData.finalText,
-          finalWordCount: analysisData.finalWordCount,
-          sentAt: analysisData.sentAt,
-          sendDelay: analysisData.sendDelay,
-          editPercentage: analysisData.editPercentage,
-          toneChange: analysisData.toneChange,
-          ctaChange: analysisData.ctaChange,
-          lengthChange: analysisData.lengthChange,
-          summary: analysisData.summary,
-          status: analysisData.status || 'editing'
-        };
-
-        chrome.storage.local.set({ drafts }, () => {
-          console.log('[Friday Edit Analyzer] ✅ Draft updated in Chrome storage:', drafts[draftIndex]);
-        });
-      }
+  function sendDraftStoreMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'draft_store', ...message }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          console.error('[Friday Edit Analyzer] ❌ Draft store write failed:',
+            chrome.runtime.lastError ? chrome.runtime.lastError.message : response && response.error);
+          resolve(null);
+          return;
+        }
+        resolve(response.result);
+      });
     });
   }
 
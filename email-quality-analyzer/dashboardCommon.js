@@ -0,0 +1,73 @@
+// Friday Draft Edit Analytics - Shared dashboard helpers
+// Used by the popup, the analytics tab and the options page
+
+// Drafts that have been analyzed (editing), sent or abandoned - pending ones have nothing to show yet
+const LISTED_STATUSES = ['editing', 'sent', 'abandoned'];
+
+// One pass over the listed drafts, keeping only running totals
+function loadDraftStats() {
+  const stats = { total: 0, editSum: 0, sent: 0, abandoned: 0 };
+
+  return forEachDraft(draft => {
+    stats.total++;
+    stats.editSum += draft.editPercentage || 0;
+    if (draft.status === 'sent') stats.sent++;
+    if (draft.status === 'abandoned') stats.abandoned++;
+  }, { statuses: LISTED_STATUSES }).then(() => stats);
+}
+
+function displayStats(stats) {
+  document.getElementById('total-drafts').textContent = stats.total;
+  document.getElementById('avg-edit').textContent = stats.total ? Math.round(stats.editSum / stats.total) + '%' : '0%';
+  displayOutcomeRates(stats);
+}
+
+// Acceptance = sent out of every draft that reached a final outcome (sent or abandoned)
+function displayOutcomeRates(stats) {
+  const finished = stats.sent + stats.abandoned;
+
+  document.getElementById('acceptance-rate').textContent = finished ? Math.round((stats.sent / finished) * 100) + '%' : '0%';
+  document.getElementById('abandonment-rate').textContent = finished ? Math.round((stats.abandoned / finished) * 100) + '%' : '0%';
+}
+
+// Date inputs are local calendar days; the "to" day is included in full
+function getDateInputRange(fromValue, toValue) {
+  return {
+    from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+    to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null
+  };
+}
+
+function showStatus(message, color) {
+  const status = document.getElementById('status-message');
+  status.textContent = message;
+  status.style.color = color;
+  status.style.display = 'block';
+
+  setTimeout(() => {
+    status.style.display = 'none';
+  }, 3000);
+}
+
+function downloadFile(content, mimeType, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function truncateText(text, maxLength) {
+  if (!text) return 'No text available';
+  if (text.length <= maxLength) return text;
+  return text.substring(0, maxLength) + '...';
+}
@@ -0,0 +1,122 @@
+/**
+ * Draft Export - Turns stored draft records into CSV, JSON or NDJSON files
+ * CSV is one flat row per draft for spreadsheets; JSON and NDJSON keep the full record.
+ * Pure logic - the dashboard handles reading the store and downloading the file
+ * (stripDraftBodies comes from draftStore.js, which retention pruning shares).
+ */
+
+// Marks our JSON exports so an import can tell them apart from arbitrary JSON
+const EXPORT_FORMAT_NAME = 'friday-draft-export';
+const EXPORT_FORMAT_VERSION = 1;
+
+// CSV columns, in order: [header, value getter]
+const CSV_COLUMNS = [
+  ['id', d => d.id],
+  ['source_user', d => d.sourceUser || ''],
+  ['generated_at', d => d.generatedAt],
+  ['status', d => d.status],
+  ['compose_type', d => d.composeType],
+  ['is_reply', d => d.isReply === undefined ? '' : (d.isReply ? 'yes' : 'no')],
+  ['email_type', d => d.emailType],
+  ['recipient_type', d => d.recipientType],
+  ['to_domains', d => (d.toDomains || []).join(';')],
+  ['cc_domains', d => (d.ccDomains || []).join(';')],
+  ['thread_id', d => d.threadId],
+  ['outcome_at', d => d.sentAt || d.abandonedAt || ''],
+  ['scheduled_send', d => d.scheduledSend ? 'yes' : ''],
+  ['abandon_reason', d => d.abandonReason || ''],
+  ['edit_percentage', d => d.editPercentage],
+  ['word_edit_percentage', d => d.wordEditPercentage],
+  ['sentence_edit_percentage', d => d.sentenceEditPercentage],
+  ['tone_change', d => d.toneChange],
+  ['cta_change', d => d.ctaChange],
+  ['length_change', d => d.lengthChange],
+  ['summary', d => d.summary],
+  ['analysis_source', d => d.analysisSource],
+  ['original_word_count', d => d.originalWordCount],
+  ['final_word_count', d => d.finalWordCount],
+  ['send_delay_seconds', d => typeof d.sendDelay === 'number' ? Math.round(d.sendDelay / 1000) : ''],
+  ['original_score', d => d.originalQuality ? d.originalQuality.overallScore : ''],
+  ['final_score', d => d.finalQuality ? d.finalQuality.overallScore : ''],
+  ['suggestions_shown', d => d.inlineSuggestions ? d.inlineSuggestions.length : ''],
+  ['suggestions_accepted', d => d.inlineSuggestions ? d.inlineSuggestions.filter(s => s.outcome === 'accepted').length : ''],
+  ['assistant_rewrites', d => (d.assistantRewrites || []).map(r => r.action).join(';')],
+  ['detection_reason', d => d.detectionReason],
+  ['detection_confidence', d => d.detectionConfidence]
+];
+
+const CSV_BODY_COLUMNS = [
+  ['subject', d => d.subject],
+  ['original_text', d => d.originalText],
+  ['final_text', d => d.finalText]
+];
+
+/**
+ * Serialize drafts for download
+ * @param {Array<Object>} drafts - Stored draft records
+ * @param {Object} options - { format: 'csv'|'json'|'ndjson', redactBodies: boolean, filters: Object }
+ * @returns {Object} { content, mimeType, extension }
+ */
+function exportDrafts(drafts, { format, redactBodies = false, filters = {} }) {
+  const records = redactBodies ? drafts.map(stripDraftBodies) : drafts;
+
+  switch (format) {
+    case 'csv':
+      return { content: draftsToCSV(records, !redactBodies), mimeType: 'text/csv', extension: 'csv' };
+    case 'ndjson':
+      return { content: draftsToNDJSON(records), mimeType: 'application/x-ndjson', extension: 'ndjson' };
+    case 'json':
+      return { content: draftsToJSON(records, { redactBodies, filters }), mimeType: 'application/json', extension: 'json' };
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+function draftsToCSV(drafts, includeBodies) {
+  const columns = includeBodies ? CSV_COLUMNS.concat(CSV_BODY_COLUMNS) : CSV_COLUMNS;
+
+  const rows = [columns.map(([header]) => header)];
+  drafts.forEach(draft => {
+    rows.push(columns.map(([, getValue]) => getValue(draft)));
+  });
+
+  // CRLF per RFC 4180 - Excel is happiest with it
+  return rows.map(row => row.map(escapeCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeCSVField(value) {
+  if (value === undefined || value === null) return '';
+
+  let text = String(value);
+
+  // A cell starting with = + - @, a tab or a carriage return can be run as a formula by spreadsheet apps
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function draftsToJSON(drafts, { redactBodies, filters }) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT_NAME,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    bodiesRedacted: redactBodies,
+    filters,
+    drafts
+  }, null, 2);
+}
+
+// One record per line, so notebooks can stream it with pandas.read_json(lines=True)
+function draftsToNDJSON(drafts) {
+  return drafts.map(draft => JSON.stringify(draft)).join('\n') + (drafts.length ? '\n' : '');
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.exportDrafts = exportDrafts;
+}
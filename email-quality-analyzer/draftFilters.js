@@ -0,0 +1,80 @@
+/**
+ * Draft Filters - Search, filter and sort rules for the analytics draft list
+ * The matcher runs inside the store cursor as each page of the list loads, so drafts
+ * that don't match are never kept. Pure logic - analytics.js reads the controls and renders.
+ */
+
+// Text the search box looks through
+const SEARCH_FIELDS = ['subject', 'originalText', 'finalText', 'summary'];
+
+// Analysis labels that can be filtered on (values come from the insights breakdowns)
+const LABEL_FILTER_FIELDS = ['toneChange', 'ctaChange', 'lengthChange'];
+
+// Ties fall back to newest first so the order is stable between reloads
+const DRAFT_SORTS = {
+  newest: (a, b) => b.timestamp - a.timestamp,
+  oldest: (a, b) => a.timestamp - b.timestamp,
+  most_edited: (a, b) => b.editPercentage - a.editPercentage || b.timestamp - a.timestamp,
+  least_edited: (a, b) => a.editPercentage - b.editPercentage || b.timestamp - a.timestamp
+};
+
+// Orders the timestamp index pages through directly; the edit-% orders need every match sorted first
+const PAGED_SORTS = ['newest', 'oldest'];
+
+/**
+ * Build a predicate from the list controls. Empty values mean "any".
+ * @param {Object} criteria - { query, severity, status, composeType, emailType, toneChange, ctaChange, lengthChange, from, to }
+ * @returns {Function} draft => boolean
+ */
+function createDraftMatcher(criteria) {
+  const terms = parseSearchQuery(criteria.query || '');
+
+  return (draft) => {
+    if (criteria.status && draft.status !== criteria.status) return false;
+    if (criteria.composeType && draft.composeType !== criteria.composeType) return false;
+    if (criteria.emailType && draft.emailType !== criteria.emailType) return false;
+    if (criteria.severity && getEditSeverity(draft.editPercentage || 0).label !== criteria.severity) return false;
+    if (LABEL_FILTER_FIELDS.some(field => criteria[field] && draft[field] !== criteria[field])) return false;
+    if (criteria.from !== null && criteria.from !== undefined && draft.timestamp < criteria.from) return false;
+    if (criteria.to !== null && criteria.to !== undefined && draft.timestamp > criteria.to) return false;
+
+    if (terms.length === 0) return true;
+    const haystack = SEARCH_FIELDS.map(field => draft[field] || '').join('\n').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  };
+}
+
+/**
+ * Every word has to appear somewhere; "quoted phrases" have to appear as written
+ */
+function parseSearchQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query.toLowerCase())) !== null) {
+    const term = (match[1] || match[2]).trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Sort list entries in place
+ * @param {Array<Object>} entries - [{ timestamp, editPercentage, ... }]
+ * @param {string} sort - A DRAFT_SORTS key (unknown keys sort newest first)
+ */
+function sortDraftEntries(entries, sort) {
+  return entries.sort(DRAFT_SORTS[sort] || DRAFT_SORTS.newest);
+}
+
+// Unknown keys sort newest first, so they page too
+function isPagedSort(sort) {
+  return PAGED_SORTS.includes(sort) || !DRAFT_SORTS[sort];
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.createDraftMatcher = createDraftMatcher;
+  window.sortDraftEntries = sortDraftEntries;
+  window.isPagedSort = isPagedSort;
+}
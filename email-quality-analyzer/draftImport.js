@@ -0,0 +1,242 @@
+/**
+ * Draft Import - Reads teammates' JSON/NDJSON exports and checks every record before merging
+ * Nothing is written unless the whole file validates, so a bad file can't leave
+ * half an import behind. Pure logic - the dashboard does the file reading and storage.
+ */
+
+const IMPORT_STATUSES = ['pending', 'editing', 'sent', 'abandoned'];
+
+// How far along a draft is - when two copies of one draft meet, the further one wins
+const STATUS_RANK = { pending: 0, editing: 1, sent: 2, abandoned: 2 };
+
+const STRING_FIELDS = [
+  'finalText', 'generatedAt', 'analyzedAt', 'sentAt', 'abandonedAt', 'abandonReason',
+  'toneChange', 'ctaChange', 'lengthChange', 'summary', 'analysisSource',
+  'detectionReason', 'generationId', 'sourceUser', 'subject', 'threadId', 'emailType', 'recipientType'
+];
+const COMPOSE_TYPES = ['compose', 'reply', 'forward'];
+const NUMBER_FIELDS = [
+  'editPercentage', 'wordEditPercentage', 'sentenceEditPercentage', 'originalWordCount',
+  'finalWordCount', 'sendDelay', 'detectionConfidence'
+];
+const BOOLEAN_FIELDS = ['scheduledSend', 'bodiesRedacted', 'textRedacted', 'isReply'];
+const STRING_LIST_FIELDS = ['toDomains', 'ccDomains', 'recipients'];
+const QUALITY_FIELDS = ['originalQuality', 'finalQuality'];
+const QUALITY_METRICS = ['tone', 'clarity', 'cta', 'length'];
+const SUGGESTION_OUTCOMES = ['shown', 'accepted', 'dismissed'];
+const REVISION_SOURCES = ['assistant'];
+
+const DRAFT_ID_PATTERN = /^[A-Za-z0-9_.:-]+$/;
+
+// Report at most this many problems - past that the file is clearly the wrong shape
+const MAX_REPORTED_ERRORS = 5;
+
+/**
+ * Parse and validate an export file
+ * @param {string} text - File contents
+ * @param {string} sourceUser - Who the records came from (kept if a record already names someone)
+ * @returns {Object} { drafts, errors } - drafts is empty whenever errors isn't
+ */
+function parseDraftImport(text, sourceUser) {
+  let records;
+  try {
+    records = parseImportRecords(text);
+  } catch (error) {
+    return { drafts: [], errors: [error.message] };
+  }
+
+  if (records.length === 0) {
+    return { drafts: [], errors: ['File contains no draft records'] };
+  }
+
+  const errors = [];
+  records.forEach((record, index) => {
+    validateDraftRecord(record).forEach(problem => {
+      errors.push(`Record ${index + 1}${record && typeof record.id === 'string' ? ` (${record.id})` : ''}: ${problem}`);
+    });
+  });
+
+  if (errors.length > 0) {
+    const extra = errors.length - MAX_REPORTED_ERRORS;
+    return {
+      drafts: [],
+      errors: errors.slice(0, MAX_REPORTED_ERRORS).concat(extra > 0 ? [`...and ${extra} more`] : [])
+    };
+  }
+
+  return { drafts: dedupeDrafts(records.map(record => tagSourceUser(record, sourceUser))), errors: [] };
+}
+
+/**
+ * Our JSON export ({ format, drafts }), a bare JSON array, or NDJSON (one record per line)
+ */
+function parseImportRecords(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+
+  if (trimmed.startsWith('[') || (trimmed.startsWith('{') && !trimmed.includes('\n{'))) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    if (Array.isArray(parsed)) return parsed;
+    if (parsed && Array.isArray(parsed.drafts)) return parsed.drafts;
+    // A single-line NDJSON file is just one record
+    if (parsed && parsed.id !== undefined) return [parsed];
+    throw new Error('JSON file has no "drafts" array');
+  }
+
+  return trimmed.split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), index }))
+    .filter(({ line }) => line.length > 0)
+    .map(({ line, index }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1} is not valid JSON`);
+      }
+    });
+}
+
+/**
+ * Check one record against the shape storeDraft/updateDraftWithAnalysis write
+ * @returns {Array<string>} Problems found (empty when the record is valid)
+ */
+function validateDraftRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['not an object'];
+  }
+
+  const problems = [];
+
+  // Ids end up in the dashboard's data attributes, so keep them to the characters generateDraftId uses
+  if (typeof record.id !== 'string' || !DRAFT_ID_PATTERN.test(record.id)) problems.push('"id" is missing or has unexpected characters');
+  if (typeof record.timestamp !== 'number' || !Number.isFinite(record.timestamp)) problems.push('"timestamp" must be a number');
+  if (!IMPORT_STATUSES.includes(record.status)) problems.push(`"status" must be one of ${IMPORT_STATUSES.join(', ')}`);
+
+  // Redacted exports leave the bodies out on purpose
+  if (typeof record.originalText !== 'string' && record.bodiesRedacted !== true) {
+    problems.push('"originalText" must be a string');
+  }
+
+  STRING_FIELDS.forEach(field => {
+    if (record[field] !== undefined && record[field] !== null && typeof record[field] !== 'string') {
+      problems.push(`"${field}" must be a string`);
+    }
+  });
+  NUMBER_FIELDS.forEach(field => {
+    if (record[field] !== undefined && record[field] !== null && !Number.isFinite(record[field])) {
+      problems.push(`"${field}" must be a number`);
+    }
+  });
+  BOOLEAN_FIELDS.forEach(field => {
+    if (record[field] !== undefined && record[field] !== null && typeof record[field] !== 'boolean') {
+      problems.push(`"${field}" must be true or false`);
+    }
+  });
+  STRING_LIST_FIELDS.forEach(field => {
+    if (record[field] !== undefined && record[field] !== null &&
+        !(Array.isArray(record[field]) && record[field].every(value => typeof value === 'string'))) {
+      problems.push(`"${field}" must be a list of strings`);
+    }
+  });
+  QUALITY_FIELDS.forEach(field => {
+    if (record[field] !== undefined && record[field] !== null && !isValidQualityResult(record[field])) {
+      problems.push(`"${field}" must have an overallScore and tone/clarity/cta/length scores`);
+    }
+  });
+  if (record.qualityDelta !== undefined && record.qualityDelta !== null &&
+      (typeof record.qualityDelta !== 'object' || Array.isArray(record.qualityDelta))) {
+    problems.push('"qualityDelta" must be an object');
+  }
+
+  if (record.composeType !== undefined && record.composeType !== null && !COMPOSE_TYPES.includes(record.composeType)) {
+    problems.push(`"composeType" must be one of ${COMPOSE_TYPES.join(', ')}`);
+  }
+
+  if (record.revisions !== undefined && !isValidRevisionLog(record.revisions)) {
+    problems.push('"revisions" must be a list of { timestamp, offset, removed, inserted }');
+  }
+
+  if (record.assistantRewrites !== undefined && !isValidRewriteLog(record.assistantRewrites)) {
+    problems.push('"assistantRewrites" must be a list of { action, appliedAt }');
+  }
+
+  if (record.inlineSuggestions !== undefined && !isValidSuggestionLog(record.inlineSuggestions)) {
+    problems.push(`"inlineSuggestions" must be a list of { kind, outcome } with outcome one of ${SUGGESTION_OUTCOMES.join(', ')}`);
+  }
+
+  return problems;
+}
+
+function isValidRevisionLog(revisions) {
+  return Array.isArray(revisions) && revisions.every(revision =>
+    revision && typeof revision === 'object' &&
+    Number.isFinite(revision.timestamp) &&
+    Number.isInteger(revision.offset) && revision.offset >= 0 &&
+    Number.isInteger(revision.removed) && revision.removed >= 0 &&
+    typeof revision.inserted === 'string' &&
+    (revision.source === undefined || REVISION_SOURCES.includes(revision.source))
+  );
+}
+
+// Same shape recordAssistantRewrite in content.js stores
+function isValidRewriteLog(rewrites) {
+  return Array.isArray(rewrites) && rewrites.every(rewrite =>
+    rewrite && typeof rewrite === 'object' &&
+    typeof rewrite.action === 'string' &&
+    Number.isFinite(rewrite.appliedAt)
+  );
+}
+
+// Same shape recordSuggestionOutcome in content.js stores
+function isValidSuggestionLog(suggestions) {
+  return Array.isArray(suggestions) && suggestions.every(suggestion =>
+    suggestion && typeof suggestion === 'object' &&
+    typeof suggestion.kind === 'string' &&
+    SUGGESTION_OUTCOMES.includes(suggestion.outcome)
+  );
+}
+
+// Same shape summarizeQualityResult in content.js stores
+function isValidQualityResult(quality) {
+  return typeof quality === 'object' && !Array.isArray(quality) &&
+    Number.isFinite(quality.overallScore) &&
+    !!quality.breakdown && typeof quality.breakdown === 'object' &&
+    QUALITY_METRICS.every(metric => quality.breakdown[metric] && Number.isFinite(quality.breakdown[metric].score));
+}
+
+// A record merged from someone else's import keeps its original owner
+function tagSourceUser(record, sourceUser) {
+  return record.sourceUser ? record : { ...record, sourceUser };
+}
+
+// The same draft can appear more than once in a file (e.g. two exports concatenated)
+function dedupeDrafts(drafts) {
+  const byId = new Map();
+  drafts.forEach(draft => {
+    const existing = byId.get(draft.id);
+    byId.set(draft.id, existing ? pickMoreCompleteDraft(existing, draft) : draft);
+  });
+  return Array.from(byId.values());
+}
+
+/**
+ * Two copies of the same draft: keep the one further along (sent/abandoned over editing
+ * over pending), then the one analyzed most recently
+ */
+function pickMoreCompleteDraft(a, b) {
+  const rankA = STATUS_RANK[a.status] || 0;
+  const rankB = STATUS_RANK[b.status] || 0;
+  if (rankA !== rankB) return rankB > rankA ? b : a;
+  return (b.analyzedAt || '') > (a.analyzedAt || '') ? b : a;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.parseDraftImport = parseDraftImport;
+  window.pickMoreCompleteDraft = pickMoreCompleteDraft;
+}
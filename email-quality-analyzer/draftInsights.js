@@ -0,0 +1,206 @@
+/**
+ * Draft Insights - Aggregates stored drafts into distributions and trends for the dashboard
+ * Built one record at a time (so it can run straight off a store cursor) and then finished
+ * into plain data that insightsCharts.js draws. Pure logic - no DOM.
+ */
+
+const EDIT_HISTOGRAM_BUCKET = 10;   // Percentage points per histogram bar
+const TREND_DAYS = 30;              // Daily trend covers the last 30 days
+const TREND_WEEKS = 12;             // Weekly trend and severity chart cover the last 12 weeks
+const TOP_SUMMARY_COUNT = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BREAKDOWN_FIELDS = ['toneChange', 'ctaChange', 'lengthChange'];
+
+/**
+ * Severity bucket for an edit percentage (also used for the badge on each draft card)
+ */
+function getEditSeverity(percentage) {
+  if (percentage < 25) return { class: 'severity-minimal', label: 'Minimal' };
+  if (percentage <= 50) return { class: 'severity-moderate', label: 'Moderate' };
+  return { class: 'severity-heavy', label: 'Heavy' };
+}
+
+function createInsightsAccumulator() {
+  return {
+    total: 0,
+    histogram: new Array(100 / EDIT_HISTOGRAM_BUCKET).fill(0),
+    days: new Map(),      // 'YYYY-MM-DD' -> { count, editSum }
+    weeks: new Map(),     // Monday's 'YYYY-MM-DD' -> { count, editSum, Minimal, Moderate, Heavy }
+    breakdowns: { toneChange: new Map(), ctaChange: new Map(), lengthChange: new Map() },
+    emailTypes: new Map(),  // emailType -> { count, editSum }
+    summaries: new Map(),  // normalized summary -> { summary, count }
+    suggestions: new Map()  // inline suggestion kind -> { shown, accepted, dismissed }
+  };
+}
+
+/**
+ * Fold one analyzed draft into the running totals
+ */
+function addDraftToInsights(accumulator, draft) {
+  const editPercentage = Math.max(0, Math.min(100, draft.editPercentage || 0));
+  const timestamp = draft.timestamp || Date.parse(draft.generatedAt) || 0;
+  accumulator.total++;
+
+  // 100% belongs in the last bar rather than a bar of its own
+  const bucket = Math.min(accumulator.histogram.length - 1, Math.floor(editPercentage / EDIT_HISTOGRAM_BUCKET));
+  accumulator.histogram[bucket]++;
+
+  const day = getOrCreate(accumulator.days, toDayKey(timestamp), () => ({ count: 0, editSum: 0 }));
+  day.count++;
+  day.editSum += editPercentage;
+
+  const week = getOrCreate(accumulator.weeks, toWeekKey(timestamp),
+    () => ({ count: 0, editSum: 0, Minimal: 0, Moderate: 0, Heavy: 0 }));
+  week.count++;
+  week.editSum += editPercentage;
+  week[getEditSeverity(editPercentage).label]++;
+
+  BREAKDOWN_FIELDS.forEach(field => {
+    if (!draft[field]) return;
+    const counts = accumulator.breakdowns[field];
+    counts.set(draft[field], (counts.get(draft[field]) || 0) + 1);
+  });
+
+  // Drafts stored before email context was captured have no type
+  if (draft.emailType) {
+    const type = getOrCreate(accumulator.emailTypes, draft.emailType, () => ({ count: 0, editSum: 0 }));
+    type.count++;
+    type.editSum += editPercentage;
+  }
+
+  if (draft.summary) {
+    const key = normalizeSummary(draft.summary);
+    const entry = getOrCreate(accumulator.summaries, key, () => ({ summary: draft.summary.trim(), count: 0 }));
+    entry.count++;
+  }
+
+  (draft.inlineSuggestions || []).forEach(suggestion => {
+    const counts = getOrCreate(accumulator.suggestions, suggestion.kind, () => ({ shown: 0, accepted: 0, dismissed: 0 }));
+    counts.shown++;
+    if (suggestion.outcome === 'accepted') counts.accepted++;
+    if (suggestion.outcome === 'dismissed') counts.dismissed++;
+  });
+}
+
+/**
+ * Turn the running totals into chart-ready data
+ * @param {Object} accumulator - From createInsightsAccumulator()
+ * @param {number} [now] - Where the trend windows end (defaults to today)
+ * @returns {Object} { total, editHistogram, dailyTrend, weeklyTrend, severityByWeek, breakdowns, editByEmailType, topSummaries, suggestionAcceptance }
+ */
+function finalizeInsights(accumulator, now = Date.now()) {
+  const editHistogram = accumulator.histogram.map((count, index) => ({
+    label: `${index * EDIT_HISTOGRAM_BUCKET}-${(index + 1) * EDIT_HISTOGRAM_BUCKET}%`,
+    value: count
+  }));
+
+  // Every day/week in the window gets a point, even when nothing was drafted
+  const dailyTrend = listRecentKeys(atNoon(now), TREND_DAYS, 1).map(key => toTrendPoint(key, accumulator.days.get(key)));
+  const weekKeys = listRecentKeys(startOfWeek(now), TREND_WEEKS, 7);
+  const weeklyTrend = weekKeys.map(key => toTrendPoint(key, accumulator.weeks.get(key)));
+
+  const severityByWeek = weekKeys.map(key => {
+    const week = accumulator.weeks.get(key);
+    return {
+      key,
+      Minimal: week ? week.Minimal : 0,
+      Moderate: week ? week.Moderate : 0,
+      Heavy: week ? week.Heavy : 0
+    };
+  });
+
+  const breakdowns = {};
+  BREAKDOWN_FIELDS.forEach(field => {
+    breakdowns[field] = Array.from(accumulator.breakdowns[field].entries())
+      .map(([label, value]) => ({ label, value }))
+      .sort((a, b) => b.value - a.value);
+  });
+
+  // Average edit % per email type, most common type first
+  const editByEmailType = Array.from(accumulator.emailTypes.entries())
+    .map(([label, bucket]) => ({ label, value: Math.round(bucket.editSum / bucket.count), count: bucket.count }))
+    .sort((a, b) => b.count - a.count);
+
+  const topSummaries = Array.from(accumulator.summaries.values())
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_SUMMARY_COUNT);
+
+  // Share of shown inline suggestions the user applied, per kind
+  const suggestionAcceptance = Array.from(accumulator.suggestions.entries())
+    .map(([label, counts]) => ({ label, value: Math.round((counts.accepted / counts.shown) * 100), ...counts }))
+    .sort((a, b) => b.shown - a.shown);
+
+  return {
+    total: accumulator.total,
+    editHistogram,
+    dailyTrend,
+    weeklyTrend,
+    severityByWeek,
+    breakdowns,
+    editByEmailType,
+    topSummaries,
+    suggestionAcceptance
+  };
+}
+
+function toTrendPoint(key, bucket) {
+  return {
+    key,
+    count: bucket ? bucket.count : 0,
+    avgEdit: bucket && bucket.count ? Math.round(bucket.editSum / bucket.count) : null
+  };
+}
+
+// Oldest first: `count` keys stepping back `stepDays` at a time from `end`
+function listRecentKeys(end, count, stepDays) {
+  const keys = [];
+  for (let i = count - 1; i >= 0; i--) {
+    keys.push(toDayKey(end - i * stepDays * DAY_MS));
+  }
+  return keys;
+}
+
+// Local calendar day, so a draft written at 11pm lands on the day the user saw
+function toDayKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Weeks start on Monday
+function toWeekKey(timestamp) {
+  return toDayKey(startOfWeek(timestamp));
+}
+
+function startOfWeek(timestamp) {
+  const date = new Date(atNoon(timestamp));
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+}
+
+// Stepping a day at a time from noon never crosses into the wrong date, DST or not
+function atNoon(timestamp) {
+  const date = new Date(timestamp);
+  date.setHours(12, 0, 0, 0);
+  return date.getTime();
+}
+
+// Model summaries vary in case and trailing punctuation for the same idea
+function normalizeSummary(summary) {
+  return summary.toLowerCase().replace(/[.!]+$/, '').replace(/\s+/g, ' ').trim();
+}
+
+function getOrCreate(map, key, create) {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.getEditSeverity = getEditSeverity;
+  window.createInsightsAccumulator = createInsightsAccumulator;
+  window.addDraftToInsights = addDraftToInsights;
+  window.finalizeInsights = finalizeInsights;
+}
@@ -0,0 +1,475 @@
+/**
+ * Draft Store - IndexedDB storage for draft records (background worker and dashboard)
+ * Each change is a single IndexedDB transaction, so concurrent updates from several
+ * compose windows can't overwrite each other. Content scripts run in Gmail's origin and
+ * can't see the extension's database - they go through the background worker instead.
+ */
+
+const DRAFT_DB_NAME = 'friday-draft-analytics';
+const DRAFT_STORE = 'drafts';
+const SYNC_OUTBOX_STORE = 'sync_outbox';
+
+/**
+ * Schema upgrades, applied in order. Index i upgrades version i to i + 1 -
+ * never edit a shipped step, append a new one instead.
+ */
+const DRAFT_SCHEMA_UPGRADES = [
+  // v1: one record per draft, keyed by draft id
+  (db) => {
+    const store = db.createObjectStore(DRAFT_STORE, { keyPath: 'id' });
+    store.createIndex('timestamp', 'timestamp');
+    store.createIndex('status', 'status');
+    store.createIndex('threadId', 'threadId');
+    store.createIndex('recipients', 'recipients', { multiEntry: true });
+  },
+  // v2: ids of finished drafts waiting to be uploaded by team sync (teamSync.js)
+  (db) => {
+    db.createObjectStore(SYNC_OUTBOX_STORE, { keyPath: 'id' });
+  },
+  // v3: status + timestamp, so one status over a date range is a single key range (listDrafts, countDrafts)
+  (db, tx) => {
+    tx.objectStore(DRAFT_STORE).createIndex('status_timestamp', ['status', 'timestamp']);
+  }
+];
+
+const DRAFT_DB_VERSION = DRAFT_SCHEMA_UPGRADES.length;
+
+// Statuses that never change again once written
+const TERMINAL_STATUSES = ['sent', 'abandoned'];
+
+// Fields that carry email text (revisions are patches of the body, so they count too; so does the subject)
+const BODY_FIELDS = ['originalText', 'finalText', 'revisions', 'subject'];
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const RETENTION_SETTINGS_KEY = 'retention';
+
+let draftDBPromise = null;
+
+/**
+ * Open (and on first use, create/upgrade) the database, then move over any drafts
+ * still sitting in the old chrome.storage.local array
+ * @returns {Promise<IDBDatabase>}
+ */
+function getDraftDB() {
+  if (!draftDBPromise) {
+    draftDBPromise = openDraftDB()
+      .then(db => migrateLegacyDrafts(db).then(() => db))
+      .catch(error => {
+        // Let the next call try again rather than caching the failure forever
+        draftDBPromise = null;
+        throw error;
+      });
+  }
+  return draftDBPromise;
+}
+
+function openDraftDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DRAFT_DB_NAME, DRAFT_DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < DRAFT_DB_VERSION; version++) {
+        console.log(`[Draft Store] Upgrading schema to v${version + 1}`);
+        DRAFT_SCHEMA_UPGRADES[version](db, request.transaction);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another context opened a newer schema - step aside so its upgrade can run
+      db.onversionchange = () => {
+        db.close();
+        draftDBPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('[Draft Store] Upgrade waiting for another tab to close the database');
+  });
+}
+
+/**
+ * Versions up to 2.0 kept every draft in one chrome.storage.local array under "drafts".
+ * Copy them in (put is idempotent, so a half-finished migration can simply run again),
+ * then drop the array.
+ */
+function migrateLegacyDrafts(db) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['drafts'], (result) => {
+      const legacyDrafts = Array.isArray(result.drafts) ? result.drafts : [];
+      if (legacyDrafts.length === 0) {
+        resolve();
+        return;
+      }
+
+      const tx = db.transaction(DRAFT_STORE, 'readwrite');
+      legacyDrafts.forEach(draft => {
+        if (draft && draft.id) tx.objectStore(DRAFT_STORE).put(draft);
+      });
+
+      tx.oncomplete = () => {
+        chrome.storage.local.remove('drafts', () => {
+          console.log(`[Draft Store] Migrated ${legacyDrafts.length} drafts from chrome.storage.local`);
+          resolve();
+        });
+      };
+      tx.onerror = () => {
+        // Keep the old array so nothing is lost; we'll retry next time the database opens
+        console.error('[Draft Store] Migration failed:', tx.error);
+        resolve();
+      };
+    });
+  });
+}
+
+function withDraftStore(mode, fn) {
+  return withObjectStore(DRAFT_STORE, mode, fn);
+}
+
+/**
+ * Run fn against one object store inside one transaction
+ * @param {string} storeName - DRAFT_STORE or SYNC_OUTBOX_STORE
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - (store, tx) => value; the promise resolves with it once the transaction commits
+ */
+function withObjectStore(storeName, mode, fn) {
+  return getDraftDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let value;
+    try {
+      value = fn(tx.objectStore(storeName), tx);
+    } catch (error) {
+      tx.abort();
+      reject(error);
+      return;
+    }
+    tx.oncomplete = () => resolve(typeof value === 'function' ? value() : value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
+
+function addDraft(record) {
+  return withDraftStore('readwrite', store => {
+    store.put(record);
+  });
+}
+
+/**
+ * Merge changes into a stored draft
+ * Sent/abandoned are terminal - an "editing" update that arrives late is dropped.
+ * @returns {Promise<boolean>} Whether the record was written
+ */
+function updateDraft(id, changes) {
+  return withDraftStore('readwrite', store => {
+    let written = false;
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const existing = request.result;
+      if (!existing) return;
+
+      const incomingStatus = changes.status || existing.status;
+      if (TERMINAL_STATUSES.includes(existing.status) && !TERMINAL_STATUSES.includes(incomingStatus)) return;
+
+      store.put({ ...existing, ...changes, id });
+      written = true;
+    };
+    return () => written;
+  });
+}
+
+/**
+ * Add one revision to a draft's log.
+ * Past the cap the two oldest revisions are folded into one patch, so the log keeps
+ * the recent history in full and older history at lower resolution.
+ */
+function appendDraftRevision(id, revision) {
+  const maxRevisions = self.EMAIL_ANALYZER_CONFIG.REVISION_HISTORY.maxRevisions;
+
+  return withDraftStore('readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const draft = request.result;
+      if (!draft) return;
+
+      // Retention already dropped this draft's text - there's nothing to patch
+      if (draft.bodiesRedacted) return;
+
+      const revisions = (draft.revisions || []).concat(revision);
+      if (revisions.length > maxRevisions) {
+        const versions = replayRevisions(draft.originalText, revisions.slice(0, 2));
+        // Two assistant rewrites merge into one; anything mixed with the user's typing counts as theirs
+        const assistantOnly = revisions[0].source === 'assistant' && revisions[1].source === 'assistant';
+        revisions.splice(0, 2, {
+          timestamp: revisions[1].timestamp,
+          ...createTextPatch(versions[0], versions[2]),
+          ...(assistantOnly ? { source: 'assistant', action: revisions[1].action } : {})
+        });
+      }
+
+      store.put({ ...draft, revisions });
+    };
+  });
+}
+
+/**
+ * Merge already-validated records in one transaction - either all of them land or none do
+ * @param {Array<Object>} drafts - Records to merge
+ * @param {Function} pickDraft - (existing, incoming) => the record to keep when an id is already stored
+ * @returns {Promise<Object>} { added, updated, unchanged }
+ */
+function importDrafts(drafts, pickDraft) {
+  return withDraftStore('readwrite', store => {
+    const counts = { added: 0, updated: 0, unchanged: 0 };
+
+    drafts.forEach(incoming => {
+      const request = store.get(incoming.id);
+      request.onsuccess = () => {
+        const existing = request.result;
+        if (!existing) {
+          store.put(incoming);
+          counts.added++;
+        } else if (pickDraft(existing, incoming) === incoming) {
+          store.put(incoming);
+          counts.updated++;
+        } else {
+          counts.unchanged++;
+        }
+      };
+    });
+
+    return () => counts;
+  });
+}
+
+/**
+ * Fetch specific drafts in one transaction
+ * @param {Array<string>} ids - Draft ids
+ * @returns {Promise<Array<Object>>} Records in the same order as ids (ids no longer stored are skipped)
+ */
+function getDrafts(ids) {
+  return withDraftStore('readonly', store => {
+    const records = new Array(ids.length);
+    ids.forEach((id, index) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        records[index] = request.result;
+      };
+    });
+    return () => records.filter(Boolean);
+  });
+}
+
+/**
+ * Walk every draft once (oldest first) without holding them all in memory
+ * @param {Function} visit - Called with each record
+ * @param {Object} [range] - { from, to } timestamps (ms, inclusive) and { statuses }; any may be omitted
+ */
+function forEachDraft(visit, range = {}) {
+  return withDraftStore('readonly', store => {
+    const request = openDraftCursor(store, range, 'next');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (!range.statuses || range.statuses.includes(cursor.value.status)) visit(cursor.value);
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * One page of drafts, newest first unless oldestFirst. The cursor stops as soon as the
+ * page is full, and the next call picks up from the returned position.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.statuses] - Only these statuses (any when omitted)
+ * @param {number} [options.from] - Earliest timestamp (ms, inclusive)
+ * @param {number} [options.to] - Latest timestamp (ms, inclusive)
+ * @param {boolean} [options.oldestFirst]
+ * @param {Function} [options.matches] - Further filter run inside the cursor (search, labels...)
+ * @param {Object} [options.after] - The previous page's `next`
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} { drafts, next } - next is null once the range is used up
+ */
+function listDrafts({ statuses = null, from = null, to = null, oldestFirst = false, matches = null, after = null, limit = 20 } = {}) {
+  // Narrow the range to where the last page stopped; drafts sharing that timestamp are skipped below
+  const range = !after ? { statuses, from, to }
+    : oldestFirst ? { statuses, from: after.timestamp, to }
+      : { statuses, from, to: after.timestamp };
+
+  return withDraftStore('readonly', store => {
+    const drafts = [];
+    let next = null;
+    const request = openDraftCursor(store, range, oldestFirst ? 'next' : 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const draft = cursor.value;
+
+      // Equal timestamps come in primary key order (reversed when newest first)
+      const alreadyListed = after && draft.timestamp === after.timestamp &&
+        indexedDB.cmp(cursor.primaryKey, after.id) * (oldestFirst ? 1 : -1) <= 0;
+      const wanted = (!statuses || statuses.includes(draft.status)) && (!matches || matches(draft));
+
+      if (!alreadyListed && wanted) {
+        drafts.push(draft);
+        if (drafts.length >= limit) {
+          next = { timestamp: draft.timestamp, id: draft.id };
+          return;
+        }
+      }
+      cursor.continue();
+    };
+    return () => ({ drafts, next });
+  });
+}
+
+/**
+ * Count drafts in a status/date key range without reading them
+ * @param {Object} [range] - { statuses, from, to } as in listDrafts
+ * @returns {Promise<number>}
+ */
+function countDrafts({ statuses = null, from = null, to = null } = {}) {
+  return withDraftStore('readonly', store => {
+    const requests = statuses
+      ? statuses.map(status => store.index('status_timestamp').count(getStatusTimestampRange(status, { from, to })))
+      : [store.index('timestamp').count(getTimestampRange({ from, to }))];
+    return () => requests.reduce((total, request) => total + request.result, 0);
+  });
+}
+
+// A single status reads just its slice of status_timestamp; otherwise the timestamp index and the caller skips other statuses
+function openDraftCursor(store, { statuses = null, from = null, to = null }, direction) {
+  if (statuses && statuses.length === 1) {
+    return store.index('status_timestamp').openCursor(getStatusTimestampRange(statuses[0], { from, to }), direction);
+  }
+  return store.index('timestamp').openCursor(getTimestampRange({ from, to }), direction);
+}
+
+function deleteDraft(id) {
+  return withDraftStore('readwrite', store => {
+    store.delete(id);
+  });
+}
+
+/**
+ * Apply the retention policy in one pass, oldest first: delete drafts past the max age,
+ * then the oldest ones over the max count, and strip the email text from what's left
+ * past the body cutoff. A limit of 0 (or missing) means "no limit".
+ * @param {Object} policy - { maxAgeDays, maxCount, dropBodiesAfterDays }
+ * @param {number} [now]
+ * @returns {Promise<Object>} { deleted, stripped }
+ */
+function pruneDrafts({ maxAgeDays = 0, maxCount = 0, dropBodiesAfterDays = 0 }, now = Date.now()) {
+  const ageCutoff = maxAgeDays > 0 ? now - maxAgeDays * DAY_IN_MS : null;
+  const bodyCutoff = dropBodiesAfterDays > 0 ? now - dropBodiesAfterDays * DAY_IN_MS : null;
+
+  return withDraftStore('readwrite', store => {
+    const counts = { deleted: 0, stripped: 0 };
+
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let remaining = countRequest.result;
+
+      const request = store.index('timestamp').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        const draft = cursor.value;
+
+        const tooOld = ageCutoff !== null && draft.timestamp < ageCutoff;
+        const overCount = maxCount > 0 && remaining > maxCount;
+        if (tooOld || overCount) {
+          cursor.delete();
+          counts.deleted++;
+          remaining--;
+        } else if (bodyCutoff !== null && draft.timestamp < bodyCutoff) {
+          if (!draft.bodiesRedacted) {
+            cursor.update(stripDraftBodies(draft));
+            counts.stripped++;
+          }
+        } else {
+          // Oldest first, so nothing after this draft is old enough for any rule
+          return;
+        }
+        cursor.continue();
+      };
+    };
+
+    return () => counts;
+  });
+}
+
+/**
+ * The user's retention policy over the CONFIG defaults
+ * @returns {Promise<Object>} { maxAgeDays, maxCount, dropBodiesAfterDays, pruneIntervalMinutes }
+ */
+function getRetentionPolicy() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([RETENTION_SETTINGS_KEY], (result) => {
+      resolve({ ...self.EMAIL_ANALYZER_CONFIG.RETENTION, ...(result[RETENTION_SETTINGS_KEY] || {}) });
+    });
+  });
+}
+
+function saveRetentionPolicy(policy) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.set({ [RETENTION_SETTINGS_KEY]: policy }, resolve);
+  });
+}
+
+// Drop the email text but keep everything measured from it
+function stripDraftBodies(draft) {
+  const stripped = { ...draft, bodiesRedacted: true };
+  BODY_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+}
+
+function clearDrafts() {
+  return withDraftStore('readwrite', store => {
+    store.clear();
+  });
+}
+
+/**
+ * Add drafts to the team sync outbox (re-queuing one that's already waiting is harmless)
+ */
+function queueSyncIds(ids) {
+  const queuedAt = Date.now();
+  return withObjectStore(SYNC_OUTBOX_STORE, 'readwrite', store => {
+    ids.forEach(id => store.put({ id, queuedAt }));
+  });
+}
+
+// Up to `limit` queued draft ids
+function listSyncOutbox(limit) {
+  return withObjectStore(SYNC_OUTBOX_STORE, 'readonly', store => {
+    const request = store.getAllKeys(null, limit);
+    return () => request.result;
+  });
+}
+
+function countSyncOutbox() {
+  return withObjectStore(SYNC_OUTBOX_STORE, 'readonly', store => {
+    const request = store.count();
+    return () => request.result;
+  });
+}
+
+function removeFromSyncOutbox(ids) {
+  return withObjectStore(SYNC_OUTBOX_STORE, 'readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+function getTimestampRange({ from = null, to = null }) {
+  if (from !== null && to !== null) return IDBKeyRange.bound(from, to);
+  if (from !== null) return IDBKeyRange.lowerBound(from);
+  if (to !== null) return IDBKeyRange.upperBound(to);
+  return null;
+}
+
+function getStatusTimestampRange(status, { from = null, to = null }) {
+  return IDBKeyRange.bound([status, from === null ? -Infinity : from], [status, to === null ? Infinity : to]);
+}
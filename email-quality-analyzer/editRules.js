@@ -0,0 +1,204 @@
+/**
+ * Edit Rules - Mines the phrase-level replacements users make over and over
+ * Each sent draft's original/final pair is diffed (textDiff.js) and every short change is
+ * read as a rule: a phrase replaced ("Let me know" → "Are you free Tuesday?"), removed
+ * ("Hope this finds you well") or added. Rules are counted once per draft and ranked by
+ * how many drafts they show up in. Pure logic - no DOM.
+ */
+
+// Style guide export, for feeding the rules back to the generator
+const STYLE_GUIDE_FORMAT_NAME = 'friday-style-guide';
+const STYLE_GUIDE_FORMAT_VERSION = 1;
+
+// Swapping only these for each other ("a" → "the") isn't a rule anyone would write down
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'by',
+  'i', 'we', 'you', 'it', 'is', 'are', 'be', 'that', 'this', 'so', 'as'
+]);
+
+/**
+ * @param {Object} options - CONFIG.EDIT_RULES ({ minDrafts, maxPhraseWords, maxRules })
+ */
+function createEditRuleAccumulator(options) {
+  return {
+    options,
+    draftCount: 0,
+    rules: new Map()   // 'from\u0000to' (normalized) -> { type, from, to, drafts, occurrences, draftIds }
+  };
+}
+
+/**
+ * Diff one draft and count its replacements. Only sent drafts with both texts count -
+ * the final text of an abandoned draft isn't something the user stood behind - and a
+ * toolbar rewrite's wording is the model's, not a rule the user wrote.
+ */
+function addDraftToEditRules(accumulator, draft) {
+  if (draft.status !== 'sent' || !draft.originalText || !draft.finalText || draft.bodiesRedacted) return;
+  if (draft.assistantRewrites && draft.assistantRewrites.length) return;
+  accumulator.draftCount++;
+
+  const seenInDraft = new Set();
+  extractReplacements(draft.originalText, draft.finalText).forEach(({ from, to }) => {
+    const normalizedFrom = normalizePhrase(from);
+    const normalizedTo = normalizePhrase(to);
+    if (!isRuleCandidate(normalizedFrom, normalizedTo, accumulator.options.maxPhraseWords)) return;
+
+    const key = `${normalizedFrom}\u0000${normalizedTo}`;
+    if (!accumulator.rules.has(key)) {
+      // Keep the wording as the user first wrote it
+      accumulator.rules.set(key, {
+        type: !normalizedTo ? 'remove' : !normalizedFrom ? 'add' : 'replace',
+        from: normalizedFrom ? trimPhrase(from) : '',
+        to: normalizedTo ? trimPhrase(to) : '',
+        drafts: 0,
+        occurrences: 0,
+        draftIds: []
+      });
+    }
+    const rule = accumulator.rules.get(key);
+    rule.occurrences++;
+    if (!seenInDraft.has(key)) {
+      seenInDraft.add(key);
+      rule.drafts++;
+      if (rule.draftIds.length < 3) rule.draftIds.push(draft.id);
+    }
+  });
+}
+
+/**
+ * Rules seen in enough drafts, most common first
+ * @returns {Object} { draftCount, rules: [{ type: 'replace'|'remove'|'add', from, to, drafts, occurrences, share, draftIds }] }
+ */
+function finalizeEditRules(accumulator) {
+  const { minDrafts, maxRules } = accumulator.options;
+  const rules = Array.from(accumulator.rules.values())
+    .filter(rule => rule.drafts >= minDrafts)
+    .sort((a, b) => b.drafts - a.drafts || b.occurrences - a.occurrences)
+    .slice(0, maxRules)
+    .map(rule => ({ ...rule, share: accumulator.draftCount ? rule.drafts / accumulator.draftCount : 0 }));
+
+  return { draftCount: accumulator.draftCount, rules };
+}
+
+/**
+ * Every phrase-level change between two versions, in reading order: [{ from, to }]
+ * A deleted sentence followed by an inserted one in the same spot is a replacement; inside a
+ * rewritten sentence each run of changed words is one. Moved sentences aren't edits to wording.
+ */
+function extractReplacements(originalText, finalText) {
+  const replacements = [];
+  let deleted = [];
+  let inserted = [];
+
+  // Pair a hunk's deleted and inserted sentences in order; whatever is left over was removed or added
+  const flushSentences = () => {
+    const pairs = Math.max(deleted.length, inserted.length);
+    for (let i = 0; i < pairs; i++) {
+      replacements.push({ from: deleted[i] || '', to: inserted[i] || '' });
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  window.buildDraftDiff(originalText, finalText).forEach(row => {
+    if (row.type === 'deleted') {
+      deleted.push(row.text);
+      return;
+    }
+    if (row.type === 'inserted') {
+      inserted.push(row.text);
+      return;
+    }
+    flushSentences();
+    if (row.type === 'rewritten') replacements.push(...extractWordReplacements(row.words));
+  });
+  flushSentences();
+
+  // Blank-line "sentences" come through as whitespace-only changes
+  return replacements.filter(({ from, to }) => from.trim() || to.trim());
+}
+
+// Runs of deleted/inserted words, with the spaces between changed words counted as part of the run
+function extractWordReplacements(words) {
+  const replacements = [];
+  let current = null;
+
+  words.forEach((segment, index) => {
+    const bridgesRun = segment.type === 'equal' && !segment.text.trim() &&
+      current && index + 1 < words.length && words[index + 1].type !== 'equal';
+
+    if (segment.type === 'equal' && !bridgesRun) {
+      if (current) replacements.push(current);
+      current = null;
+      return;
+    }
+
+    if (!current) current = { from: '', to: '' };
+    if (segment.type === 'delete' || bridgesRun) current.from += segment.text;
+    if (segment.type === 'insert' || bridgesRun) current.to += segment.text;
+  });
+  if (current) replacements.push(current);
+
+  return replacements;
+}
+
+function isRuleCandidate(from, to, maxPhraseWords) {
+  if (from === to || (!from && !to)) return false;
+
+  const fromWords = from ? from.split(' ') : [];
+  const toWords = to ? to.split(' ') : [];
+  if (fromWords.length > maxPhraseWords || toWords.length > maxPhraseWords) return false;
+
+  return fromWords.concat(toWords).some(word => !FILLER_WORDS.has(word));
+}
+
+// Comparison form: case, spacing and surrounding punctuation don't make a different rule
+function normalizePhrase(text) {
+  return text.replace(/^[\s,.;:!?—–-]+|[\s,.;:!?—–-]+$/g, '').toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Display form: drop the separators a diff run picks up, but keep a closing "?" or "!"
+function trimPhrase(text) {
+  return text.replace(/^[\s,.;:—–-]+|[\s,.;:—–-]+$/g, '');
+}
+
+/**
+ * Plain-language version of a rule, as it would read in a style guide
+ */
+function describeEditRule(rule) {
+  if (rule.type === 'remove') return `Don't write "${rule.from}"`;
+  if (rule.type === 'add') return `Include "${rule.to}"`;
+  return `Write "${rule.to}" instead of "${rule.from}"`;
+}
+
+/**
+ * The chosen rules as a JSON style guide for the generator
+ * @param {Array<Object>} rules - From finalizeEditRules()
+ * @param {number} draftCount - Sent drafts the rules were mined from
+ * @returns {string}
+ */
+function editRulesToStyleGuide(rules, draftCount) {
+  return JSON.stringify({
+    format: STYLE_GUIDE_FORMAT_NAME,
+    version: STYLE_GUIDE_FORMAT_VERSION,
+    generatedAt: new Date().toISOString(),
+    draftCount,
+    rules: rules.map(rule => ({
+      type: rule.type,
+      from: rule.from,
+      to: rule.to,
+      instruction: describeEditRule(rule),
+      drafts: rule.drafts,
+      occurrences: rule.occurrences
+    }))
+  }, null, 2);
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.createEditRuleAccumulator = createEditRuleAccumulator;
+  window.addDraftToEditRules = addDraftToEditRules;
+  window.finalizeEditRules = finalizeEditRules;
+  window.describeEditRule = describeEditRule;
+  window.editRulesToStyleGuide = editRulesToStyleGuide;
+}
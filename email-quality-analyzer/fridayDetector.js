@@ -0,0 +1,212 @@
+/**
+ * Friday Detector - Decides whether text that landed in a compose window came from Friday
+ * Works from provenance rather than timing alone: the generator's marker attribute or
+ * postMessage handshake, Friday's clipboard format, paste/drop events, and inserts that
+ * happened without any typing. Every detection carries a confidence and a reason.
+ */
+
+// Friday tags the element it inserts: <div data-friday-draft="<generation id>">
+const FRIDAY_MARKER_ATTRIBUTE = 'data-friday-draft';
+
+// Friday's "Copy draft" puts this type on the clipboard alongside text/plain and text/html
+const FRIDAY_CLIPBOARD_TYPE = 'application/x-friday-draft';
+
+// window.postMessage({ source: 'friday-generator', type: 'friday_draft_inserted', generationId, text })
+const FRIDAY_MESSAGE_SOURCE = 'friday-generator';
+const ANALYZER_MESSAGE_SOURCE = 'friday-edit-analyzer';
+
+// Keystrokes this recent mean the text grew because the user typed it
+const TYPING_WINDOW_MS = 150;
+
+// The last handshake from the generator, waiting for its text to show up in a compose window
+let pendingHandshake = null;
+
+/**
+ * Listen for the generator announcing an insert. Call once per page.
+ * We acknowledge each announcement so the generator knows the analyzer is running.
+ */
+function listenForFridayHandshake() {
+  window.addEventListener('message', (event) => {
+    const data = event.data;
+    if (event.source !== window || !data || data.source !== FRIDAY_MESSAGE_SOURCE) return;
+    if (data.type !== 'friday_draft_inserted') return;
+
+    pendingHandshake = {
+      generationId: data.generationId || null,
+      text: typeof data.text === 'string' ? data.text : '',
+      receivedAt: Date.now()
+    };
+
+    window.postMessage({
+      source: ANALYZER_MESSAGE_SOURCE,
+      type: 'friday_draft_ack',
+      generationId: pendingHandshake.generationId
+    }, window.location.origin);
+  });
+}
+
+/**
+ * Per-compose-window detection state, kept on the session
+ */
+function createDetectionState() {
+  return {
+    lastTypedAt: 0,
+    insertSignal: null,   // { reason, confidence, at } from the latest paste/drop
+    burst: null           // { chars, lastAt, signal } - non-typed growth close together in time
+  };
+}
+
+/**
+ * keydown: plain keys mean typing. Shortcuts (Ctrl/Cmd+V) are left to the paste handler.
+ */
+function noteKeyboardInput(state, event) {
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  state.lastTypedAt = Date.now();
+}
+
+/**
+ * paste / drop / beforeinput: remember where inserted text came from
+ */
+function noteInsertEvent(state, event) {
+  if (event.type === 'beforeinput') {
+    // IME and autocorrect input counts as typing; paste/drop fall through to provenance checks
+    if (event.inputType === 'insertText' || event.inputType === 'insertCompositionText' ||
+        event.inputType === 'insertReplacementText') {
+      state.lastTypedAt = Date.now();
+      return;
+    }
+    if (event.inputType !== 'insertFromPaste' && event.inputType !== 'insertFromDrop') return;
+  }
+
+  // Ctrl/Cmd+V was never typing, even though a key went down a moment ago
+  state.lastTypedAt = 0;
+
+  const transfer = event.clipboardData || event.dataTransfer;
+  const fromFriday = transfer && hasFridayProvenance(transfer);
+
+  // paste and beforeinput both fire for one paste - don't let the second downgrade the first
+  if (!fromFriday && state.insertSignal && Date.now() - state.insertSignal.at < TYPING_WINDOW_MS) return;
+
+  state.insertSignal = {
+    reason: fromFriday ? 'clipboard_marker' : 'unverified_paste',
+    confidence: getReasonConfidence(fromFriday ? 'clipboard_marker' : 'unverified_paste'),
+    at: Date.now()
+  };
+}
+
+/**
+ * Text the extension itself is about to insert (a rewrite) - treat it like typing, so a long
+ * rewrite isn't mistaken for a programmatic Friday insert
+ */
+function noteAnalyzerInsert(state) {
+  state.lastTypedAt = Date.now();
+  state.insertSignal = null;
+  state.burst = null;
+}
+
+// Friday's own clipboard type, or its marker attribute carried along in the HTML flavour
+function hasFridayProvenance(transfer) {
+  const types = Array.from(transfer.types || []);
+  if (types.includes(FRIDAY_CLIPBOARD_TYPE)) return true;
+  if (!types.includes('text/html')) return false;
+  return transfer.getData('text/html').includes(FRIDAY_MARKER_ATTRIBUTE);
+}
+
+/**
+ * Called on every text change before a draft has been detected
+ * @param {Object} state - From createDetectionState()
+ * @param {Element} textBox - The compose textbox
+ * @param {string} previousText - Text at the last change
+ * @param {string} currentText - Text now
+ * @returns {Object|null} { confidence, reason, generationId } or null if this doesn't look like Friday
+ */
+function evaluateFridayInsert(state, textBox, previousText, currentText) {
+  const config = window.EMAIL_ANALYZER_CONFIG.FRIDAY_DETECTION;
+  const now = Date.now();
+
+  const marker = textBox.querySelector(`[${FRIDAY_MARKER_ATTRIBUTE}]`);
+  if (marker) {
+    return {
+      confidence: getReasonConfidence('marker'),
+      reason: 'marker',
+      generationId: marker.getAttribute(FRIDAY_MARKER_ATTRIBUTE) || null
+    };
+  }
+
+  const added = currentText.length - previousText.length;
+  if (added <= 0) return null;
+
+  if (now - state.lastTypedAt < TYPING_WINDOW_MS) {
+    state.burst = null;
+    return null;
+  }
+
+  // The generator announced an insert - the next non-typed growth is it, however small the first piece
+  const handshake = takeHandshake(currentText, now, config.handshakeWindow);
+  if (handshake) return handshake;
+
+  // Friday may stream its draft in pieces, so add up growth that arrives close together
+  if (!state.burst || now - state.burst.lastAt > config.burstGap) {
+    state.burst = { chars: 0, lastAt: now, signal: null };
+  }
+  state.burst.chars += added;
+  state.burst.lastAt = now;
+
+  if (state.insertSignal && now - state.insertSignal.at < config.burstGap) {
+    state.burst.signal = strongerSignal(state.burst.signal, state.insertSignal);
+  }
+
+  if (state.burst.chars < config.minInsertChars) return null;
+
+  const reason = state.burst.signal ? state.burst.signal.reason : 'programmatic_insert';
+  return { confidence: getReasonConfidence(reason), reason, generationId: null };
+}
+
+/**
+ * Whether a detection is strong enough to capture the text as a Friday draft
+ * @param {Object|null} detection - From evaluateFridayInsert()
+ * @returns {boolean}
+ */
+function isConfidentDetection(detection) {
+  return Boolean(detection) && detection.confidence >= window.EMAIL_ANALYZER_CONFIG.FRIDAY_DETECTION.minConfidence;
+}
+
+// Use up the pending handshake if it's fresh (and, when it carried text, that text is what arrived)
+function takeHandshake(currentText, now, handshakeWindow) {
+  if (!pendingHandshake || now - pendingHandshake.receivedAt > handshakeWindow) return null;
+
+  const handshake = pendingHandshake;
+  const expected = normalizeForMatch(handshake.text).slice(0, 80);
+  if (expected && !normalizeForMatch(currentText).includes(expected)) return null;
+
+  pendingHandshake = null;
+  return {
+    confidence: getReasonConfidence('handshake'),
+    reason: 'handshake',
+    generationId: handshake.generationId
+  };
+}
+
+function strongerSignal(a, b) {
+  if (!a) return b;
+  return b.confidence > a.confidence ? b : a;
+}
+
+function getReasonConfidence(reason) {
+  return window.EMAIL_ANALYZER_CONFIG.FRIDAY_DETECTION.confidence[reason] || 0;
+}
+
+function normalizeForMatch(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.listenForFridayHandshake = listenForFridayHandshake;
+  window.createDetectionState = createDetectionState;
+  window.noteKeyboardInput = noteKeyboardInput;
+  window.noteInsertEvent = noteInsertEvent;
+  window.noteAnalyzerInsert = noteAnalyzerInsert;
+  window.evaluateFridayInsert = evaluateFridayInsert;
+  window.isConfidentDetection = isConfidentDetection;
+}
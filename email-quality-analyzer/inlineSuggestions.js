@@ -0,0 +1,438 @@
+/**
+ * Inline Suggestions - Live underlines in the Gmail compose body with one-click rewrites
+ * Flags a weak CTA ("let me know") and, when the email runs past its type's ideal length, the
+ * sentences to cut or tighten. Finding suggestions is plain text work (findInlineSuggestions);
+ * the underlines and tooltips are drawn in an overlay on top of the compose body, so Gmail's
+ * own markup is never touched. Rewrites go through insertText like any other edit.
+ */
+
+// Quoted replies and the signature aren't part of what the user is writing
+const INLINE_SKIPPED_SELECTOR = '.gmail_quote, .gmail_signature, blockquote';
+const INLINE_BLOCK_TAGS = new Set(['DIV', 'P', 'LI', 'UL', 'OL', 'TABLE', 'TR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+const TOOLTIP_HIDE_DELAY = 300;   // Grace period (ms) for moving the mouse from an underline onto its tooltip
+
+/**
+ * Suggestions for a compose body's text, in reading order
+ * @param {string} text - Body text as built by buildComposeTextMap (offsets must line up with it)
+ * @param {string} emailType - detectEmailType category, picks the ideal length and the CTA rewrite
+ * @returns {Array<Object>} [{ kind: 'weak_cta'|'over_length', key, phrase, start, end, message, rewrite: { start, end, original, text } }]
+ */
+function findInlineSuggestions(text, emailType) {
+  const config = window.EMAIL_ANALYZER_CONFIG;
+  const settings = config.INLINE_SUGGESTIONS;
+  const sentences = splitIntoSentenceSpans(text);
+  const suggestions = [];
+
+  // Any strong CTA means the email already asks clearly - analyzeCTAScore scores it that way too
+  const hasStrongCTA = config.CTA_PATTERNS.strong.some(pattern => pattern.test(text));
+  const ctaRewrite = settings.ctaRewrites[emailType] || settings.ctaRewrites.customer_reply;
+  if (!hasStrongCTA) {
+    sentences.forEach(sentence => {
+      const match = findFirstMatch(sentence.text, config.CTA_PATTERNS.weak);
+      if (!match) return;
+
+      const start = sentence.start + match.index;
+      suggestions.push({
+        kind: 'weak_cta',
+        key: `weak_cta:${match[0].toLowerCase()}`,
+        phrase: match[0],
+        start,
+        end: start + match[0].length,
+        message: `Weak CTA: '${match[0]}'`,
+        rewrite: { start: sentence.start, end: sentence.end, original: sentence.text, text: ctaRewrite }
+      });
+    });
+  }
+
+  const typeConfig = config.EMAIL_TYPES[emailType];
+  const wordCount = text.split(/\s+/).filter(w => w.length > 0).length;
+  if (typeConfig && wordCount > typeConfig.idealMax) {
+    const overBy = `${wordCount - typeConfig.idealMax} words over ideal for ${emailType}`;
+    const fillers = sentences.filter(sentence => settings.fillerSentences.some(pattern => pattern.test(sentence.text)));
+
+    fillers.forEach(sentence => {
+      // Take the space after the sentence with it, so the next one doesn't start with a gap
+      const trailing = text.slice(sentence.end).match(/^[ \t]*/)[0].length;
+      suggestions.push({
+        kind: 'over_length',
+        key: `over_length:${sentence.text.toLowerCase()}`,
+        phrase: '',
+        start: sentence.start,
+        end: sentence.end,
+        message: `${overBy} - this sentence can usually go`,
+        rewrite: {
+          start: sentence.start,
+          end: sentence.end + trailing,
+          original: text.slice(sentence.start, sentence.end + trailing),
+          text: ''
+        }
+      });
+    });
+
+    // Nothing to drop outright - offer a tighter version of the longest sentence, if there is one
+    if (fillers.length === 0 && sentences.length > 0) {
+      const longest = sentences.reduce((best, sentence) => sentence.text.length > best.text.length ? sentence : best);
+      const tightened = tightenSentence(longest.text, settings.tightenings);
+      if (tightened !== longest.text) {
+        suggestions.push({
+          kind: 'over_length',
+          key: `over_length:${longest.text.toLowerCase()}`,
+          phrase: '',
+          start: longest.start,
+          end: longest.end,
+          message: `${overBy} - tighten this sentence`,
+          rewrite: { start: longest.start, end: longest.end, original: longest.text, text: tightened }
+        });
+      }
+    }
+  }
+
+  return suggestions.sort((a, b) => a.start - b.start);
+}
+
+// Sentences with their offsets in the text, surrounding whitespace left out
+function splitIntoSentenceSpans(text) {
+  const spans = [];
+  const pattern = /[^.!?\n]+[.!?]*/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const leading = match[0].match(/^\s*/)[0].length;
+    const sentence = match[0].trim();
+    if (!sentence) continue;
+    const start = match.index + leading;
+    spans.push({ start, end: start + sentence.length, text: sentence });
+  }
+  return spans;
+}
+
+// Earliest match of any of the patterns (config patterns aren't global, so exec doesn't carry state)
+function findFirstMatch(text, patterns) {
+  return patterns
+    .map(pattern => pattern.exec(text))
+    .filter(Boolean)
+    .sort((a, b) => a.index - b.index)[0] || null;
+}
+
+function tightenSentence(sentence, tightenings) {
+  const tightened = tightenings
+    .reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), sentence)
+    .replace(/[ \t]{2,}/g, ' ');
+  // "I think that we should..." loses its first word - keep the capital
+  return tightened.charAt(0).toUpperCase() + tightened.slice(1);
+}
+
+/**
+ * The compose body's text with a map back to its text nodes, so text offsets can become DOM ranges.
+ * Line breaks (<br>, block elements) turn into "\n" the way innerText would show them.
+ * @returns {Object} { text, pieces: [{ node, start }] }
+ */
+function buildComposeTextMap(root) {
+  const pieces = [];
+  let text = '';
+
+  const endLine = () => {
+    if (text && !text.endsWith('\n')) text += '\n';
+  };
+
+  const walk = (node) => {
+    node.childNodes.forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        pieces.push({ node: child, start: text.length });
+        // Gmail types runs of spaces as non-breaking ones; same length, so offsets still line up
+        text += child.nodeValue.replace(/\u00a0/g, ' ');
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE || child.matches(INLINE_SKIPPED_SELECTOR)) return;
+      if (child.tagName === 'BR') {
+        text += '\n';
+        return;
+      }
+
+      const block = INLINE_BLOCK_TAGS.has(child.tagName);
+      if (block) endLine();
+      walk(child);
+      if (block) endLine();
+    });
+  };
+  walk(root);
+
+  return { text, pieces };
+}
+
+/**
+ * DOM range covering [start, end) of a text map, or null if the map no longer matches the page
+ */
+function createRangeFromTextMap(textMap, start, end) {
+  const from = locateTextOffset(textMap, start, false);
+  const to = locateTextOffset(textMap, end, true);
+  if (!from || !to) return null;
+
+  try {
+    const range = document.createRange();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    return range;
+  } catch (error) {
+    // A text node changed length or left the DOM since the map was built
+    return null;
+  }
+}
+
+// Offsets that land on a synthetic line break snap to the nearest text node edge
+function locateTextOffset(textMap, offset, isEnd) {
+  const pieces = textMap.pieces;
+  for (let i = 0; i < pieces.length; i++) {
+    const piece = pieces[i];
+    const pieceEnd = piece.start + piece.node.nodeValue.length;
+    const inside = isEnd ? offset > piece.start && offset <= pieceEnd : offset >= piece.start && offset < pieceEnd;
+    if (inside) return { node: piece.node, offset: offset - piece.start };
+  }
+
+  if (isEnd) {
+    const before = pieces.filter(piece => piece.start + piece.node.nodeValue.length <= offset).pop();
+    return before ? { node: before.node, offset: before.node.nodeValue.length } : null;
+  }
+  const after = pieces.find(piece => piece.start >= offset);
+  return after ? { node: after.node, offset: 0 } : null;
+}
+
+/**
+ * Underline suggestions in one compose body and keep them in sync with the text
+ * @param {Element} textBox - The compose body (contenteditable)
+ * @param {Object} options
+ * @param {Function} options.getEmailType - (text) => detectEmailType category for this compose window
+ * @param {Function} options.onEvent - ('shown'|'accepted'|'dismissed', suggestion) for tracking
+ * @returns {Object} { refresh(), list(), destroy() } - call refresh whenever the text changes; list gives what's underlined now
+ */
+function attachInlineSuggestions(textBox, { getEmailType, onEvent }) {
+  const layer = document.createElement('div');
+  layer.className = 'friday-inline-layer';
+  document.body.appendChild(layer);
+
+  const tooltip = createSuggestionTooltip();
+  document.body.appendChild(tooltip);
+
+  let suggestions = [];
+  let textMap = null;
+  let activeSuggestion = null;
+  let refreshTimer = null;
+  let hideTimer = null;
+  let frame = null;
+
+  // Per compose window: a dismissed suggestion stays gone, and "shown" is counted once
+  const dismissedKeys = new Set();
+  const shownKeys = new Set();
+
+  const scrollParent = findScrollParent(textBox);
+  const resizeObserver = new ResizeObserver(scheduleDraw);
+  resizeObserver.observe(textBox);
+
+  const onScroll = () => scheduleDraw();
+  window.addEventListener('scroll', onScroll, true);
+  window.addEventListener('resize', onScroll);
+  textBox.addEventListener('mousemove', handleMouseMove);
+  textBox.addEventListener('mouseleave', scheduleHide);
+
+  // Clicks in the tooltip mustn't move the caret or take focus from the compose body
+  tooltip.addEventListener('mousedown', event => event.preventDefault());
+  tooltip.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+  tooltip.addEventListener('mouseleave', scheduleHide);
+  tooltip.querySelector('.friday-inline-apply').addEventListener('click', () => applySuggestion(activeSuggestion));
+  tooltip.querySelector('.friday-inline-dismiss').addEventListener('click', () => dismissSuggestion(activeSuggestion));
+
+  function refresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(update, window.EMAIL_ANALYZER_CONFIG.INLINE_SUGGESTIONS.refreshDelay);
+  }
+
+  function update() {
+    if (!textBox.isConnected) return;
+
+    textMap = buildComposeTextMap(textBox);
+    suggestions = findInlineSuggestions(textMap.text, getEmailType(textMap.text))
+      .filter(suggestion => !dismissedKeys.has(suggestion.key));
+
+    suggestions.forEach(suggestion => {
+      if (shownKeys.has(suggestion.key)) return;
+      shownKeys.add(suggestion.key);
+      onEvent('shown', suggestion);
+    });
+
+    // Keep the tooltip on the same suggestion - unless it was edited away
+    if (activeSuggestion) {
+      const current = suggestions.find(suggestion => suggestion.key === activeSuggestion.key);
+      if (current) {
+        activeSuggestion = current;
+      } else {
+        hideTooltip();
+      }
+    }
+    draw();
+  }
+
+  function scheduleDraw() {
+    if (frame === null) frame = requestAnimationFrame(draw);
+  }
+
+  // Underlines are fixed-position boxes under each line of the flagged text, clipped to the visible part of the body
+  function draw() {
+    frame = null;
+    const bounds = (scrollParent || textBox).getBoundingClientRect();
+    const fragment = document.createDocumentFragment();
+
+    suggestions.forEach(suggestion => {
+      const range = textMap && createRangeFromTextMap(textMap, suggestion.start, suggestion.end);
+      suggestion.rects = range ? Array.from(range.getClientRects()).filter(rect =>
+        rect.width > 0 && rect.bottom > bounds.top && rect.top < bounds.bottom) : [];
+
+      suggestion.rects.forEach(rect => {
+        const underline = document.createElement('div');
+        underline.className = `friday-inline-underline friday-inline-${suggestion.kind}`;
+        underline.style.left = `${rect.left}px`;
+        underline.style.top = `${rect.bottom - 2}px`;
+        underline.style.width = `${rect.width}px`;
+        fragment.appendChild(underline);
+      });
+    });
+
+    layer.replaceChildren(fragment);
+    if (activeSuggestion && activeSuggestion.rects) positionTooltip(activeSuggestion.rects);
+  }
+
+  function handleMouseMove(event) {
+    const hovered = suggestions.find(suggestion => (suggestion.rects || []).some(rect =>
+      event.clientX >= rect.left && event.clientX <= rect.right &&
+      event.clientY >= rect.top && event.clientY <= rect.bottom));
+
+    if (!hovered) {
+      if (activeSuggestion) scheduleHide();
+      return;
+    }
+    clearTimeout(hideTimer);
+    if (hovered !== activeSuggestion) showTooltip(hovered);
+  }
+
+  function showTooltip(suggestion) {
+    activeSuggestion = suggestion;
+    tooltip.querySelector('.friday-inline-message').textContent = suggestion.message;
+    tooltip.querySelector('.friday-inline-preview').textContent = suggestion.rewrite.text
+      ? `→ ${suggestion.rewrite.text}`
+      : 'Remove this sentence';
+    tooltip.querySelector('.friday-inline-apply').textContent = suggestion.rewrite.text ? 'Rewrite' : 'Remove';
+    tooltip.style.display = '';
+    positionTooltip(suggestion.rects);
+  }
+
+  // Below the last line of the flagged text, or above it when there's no room underneath
+  function positionTooltip(rects) {
+    const anchor = rects[rects.length - 1];
+    if (!anchor) {
+      hideTooltip();
+      return;
+    }
+    const height = tooltip.offsetHeight;
+    const top = anchor.bottom + 6 + height > window.innerHeight ? rects[0].top - height - 6 : anchor.bottom + 6;
+    tooltip.style.top = `${Math.max(0, top)}px`;
+    tooltip.style.left = `${Math.max(0, Math.min(rects[0].left, window.innerWidth - tooltip.offsetWidth - 8))}px`;
+  }
+
+  function scheduleHide() {
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(hideTooltip, TOOLTIP_HIDE_DELAY);
+  }
+
+  function hideTooltip() {
+    activeSuggestion = null;
+    tooltip.style.display = 'none';
+  }
+
+  // Replace the text the suggestion was made for - unless the user changed it in the meantime
+  function applySuggestion(suggestion) {
+    if (!suggestion) return;
+    hideTooltip();
+
+    const currentMap = buildComposeTextMap(textBox);
+    const { start, end, original, text } = suggestion.rewrite;
+    if (currentMap.text.slice(start, end) !== original) {
+      update();
+      return;
+    }
+    const range = createRangeFromTextMap(currentMap, start, end);
+    if (!range) return;
+
+    // insertText goes through Gmail's own input handling and keeps Ctrl+Z working
+    textBox.focus();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    if (text) {
+      document.execCommand('insertText', false, text);
+    } else {
+      document.execCommand('delete', false);
+    }
+
+    onEvent('accepted', suggestion);
+    refresh();
+  }
+
+  function dismissSuggestion(suggestion) {
+    if (!suggestion) return;
+    hideTooltip();
+    dismissedKeys.add(suggestion.key);
+    suggestions = suggestions.filter(item => item.key !== suggestion.key);
+    onEvent('dismissed', suggestion);
+    draw();
+  }
+
+  function destroy() {
+    clearTimeout(refreshTimer);
+    clearTimeout(hideTimer);
+    if (frame !== null) cancelAnimationFrame(frame);
+    resizeObserver.disconnect();
+    window.removeEventListener('scroll', onScroll, true);
+    window.removeEventListener('resize', onScroll);
+    textBox.removeEventListener('mousemove', handleMouseMove);
+    textBox.removeEventListener('mouseleave', scheduleHide);
+    layer.remove();
+    tooltip.remove();
+  }
+
+  refresh();
+  return { refresh, list: () => suggestions.slice(), destroy };
+}
+
+function createSuggestionTooltip() {
+  const tooltip = document.createElement('div');
+  tooltip.className = 'friday-inline-tooltip';
+  tooltip.style.display = 'none';
+  tooltip.innerHTML = `
+    <div class="friday-inline-message"></div>
+    <div class="friday-inline-preview"></div>
+    <div class="friday-inline-actions">
+      <button class="friday-inline-apply">Rewrite</button>
+      <button class="friday-inline-dismiss">Dismiss</button>
+    </div>
+  `;
+  return tooltip;
+}
+
+// The compose body scrolls inside Gmail's dialog - underlines scrolled out of it shouldn't show
+function findScrollParent(element) {
+  let node = element.parentElement;
+  while (node && node !== document.body) {
+    if (/(auto|scroll)/.test(getComputedStyle(node).overflowY)) return node;
+    node = node.parentElement;
+  }
+  return null;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.findInlineSuggestions = findInlineSuggestions;
+  window.attachInlineSuggestions = attachInlineSuggestions;
+  // Shared with rewriteToolbar.js
+  window.buildComposeTextMap = buildComposeTextMap;
+  window.createRangeFromTextMap = createRangeFromTextMap;
+  window.findScrollParent = findScrollParent;
+}
@@ -0,0 +1,183 @@
+/**
+ * Insights Charts - Small inline-SVG charts for the insights view
+ * Hand-rolled on purpose: extension pages can't load a charting library from a CDN,
+ * and these four chart shapes are all the dashboard needs. Each function returns markup.
+ */
+
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = { top: 14, right: 8, bottom: 22, left: 28 };
+
+/**
+ * Vertical bars with the count above each bar
+ * @param {Array<Object>} bars - [{ label, value }]
+ */
+function renderBarChart(bars, { color = '#667eea' } = {}) {
+  const plot = getPlotArea();
+  const maxValue = Math.max(1, ...bars.map(bar => bar.value));
+  const slot = plot.width / bars.length;
+  const barWidth = Math.max(2, slot * 0.7);
+
+  const shapes = bars.map((bar, index) => {
+    const height = (bar.value / maxValue) * plot.height;
+    const x = plot.left + index * slot + (slot - barWidth) / 2;
+    const y = plot.bottom - height;
+    return `
+      <rect x="${x}" y="${y}" width="${barWidth}" height="${height}" fill="${color}" rx="2">
+        <title>${escapeChartText(bar.label)}: ${bar.value}</title>
+      </rect>
+      ${bar.value ? `<text x="${x + barWidth / 2}" y="${y - 3}" class="chart-value">${bar.value}</text>` : ''}
+      <text x="${x + barWidth / 2}" y="${plot.bottom + 14}" class="chart-axis-label">${escapeChartText(bar.label.split('-')[0])}</text>
+    `;
+  }).join('');
+
+  return wrapChart(`${renderYAxis(plot, maxValue)}${shapes}`);
+}
+
+/**
+ * One line over time; null values leave a gap instead of dropping to zero
+ * @param {Array<Object>} points - [{ key, value }] oldest first
+ */
+function renderLineChart(points, { color = '#667eea', maxValue = null, formatValue = value => value } = {}) {
+  const plot = getPlotArea();
+  const values = points.map(point => point.value).filter(value => value !== null);
+  const top = maxValue || Math.max(1, ...values);
+  const step = points.length > 1 ? plot.width / (points.length - 1) : 0;
+
+  const coordinates = points.map((point, index) => ({
+    ...point,
+    x: plot.left + index * step,
+    y: point.value === null ? null : plot.bottom - (point.value / top) * plot.height
+  }));
+
+  // Break the path wherever there's no data
+  let path = '';
+  let penDown = false;
+  coordinates.forEach(point => {
+    if (point.y === null) {
+      penDown = false;
+      return;
+    }
+    path += `${penDown ? 'L' : 'M'}${point.x.toFixed(1)},${point.y.toFixed(1)} `;
+    penDown = true;
+  });
+
+  const dots = coordinates.filter(point => point.y !== null).map(point => `
+    <circle cx="${point.x}" cy="${point.y}" r="2.5" fill="${color}">
+      <title>${escapeChartText(point.key)}: ${escapeChartText(String(formatValue(point.value)))}</title>
+    </circle>
+  `).join('');
+
+  return wrapChart(`
+    ${renderYAxis(plot, top, formatValue)}
+    <path d="${path}" fill="none" stroke="${color}" stroke-width="2" />
+    ${dots}
+    ${renderDateLabels(plot, coordinates)}
+  `);
+}
+
+/**
+ * Stacked vertical bars over time
+ * @param {Array<Object>} rows - [{ key, <series key>: count, ... }] oldest first
+ * @param {Array<Object>} series - [{ key, color }] bottom to top
+ */
+function renderStackedBarChart(rows, series) {
+  const plot = getPlotArea();
+  const totals = rows.map(row => series.reduce((sum, s) => sum + (row[s.key] || 0), 0));
+  const maxValue = Math.max(1, ...totals);
+  const slot = plot.width / rows.length;
+  const barWidth = Math.max(2, slot * 0.7);
+
+  const shapes = rows.map((row, index) => {
+    const x = plot.left + index * slot + (slot - barWidth) / 2;
+    let y = plot.bottom;
+    return series.map(s => {
+      const value = row[s.key] || 0;
+      if (!value) return '';
+      const height = (value / maxValue) * plot.height;
+      y -= height;
+      return `
+        <rect x="${x}" y="${y}" width="${barWidth}" height="${height}" fill="${s.color}">
+          <title>Week of ${escapeChartText(row.key)} - ${escapeChartText(s.key)}: ${value}</title>
+        </rect>
+      `;
+    }).join('');
+  }).join('');
+
+  const coordinates = rows.map((row, index) => ({ key: row.key, x: plot.left + index * slot + slot / 2 }));
+  const legend = series.map(s => `
+    <span class="chart-legend-item"><span class="chart-swatch" style="background:${s.color}"></span>${escapeChartText(s.key)}</span>
+  `).join('');
+
+  return `${wrapChart(`${renderYAxis(plot, maxValue)}${shapes}${renderDateLabels(plot, coordinates)}`)}
+    <div class="chart-legend">${legend}</div>`;
+}
+
+/**
+ * Horizontal label/value bars, for category breakdowns (plain HTML, no SVG needed)
+ * @param {Array<Object>} items - [{ label, value }] already sorted
+ */
+function renderBreakdownBars(items, { color = '#667eea', maxValue = null, formatValue = value => value } = {}) {
+  if (items.length === 0) return '<div class="chart-empty">No data yet</div>';
+
+  const top = maxValue || Math.max(1, ...items.map(item => item.value));
+  return items.map(item => `
+    <div class="breakdown-row">
+      <span class="breakdown-label">${escapeChartText(item.label)}</span>
+      <span class="breakdown-track">
+        <span class="breakdown-fill" style="width:${(item.value / top) * 100}%;background:${color}"></span>
+      </span>
+      <span class="breakdown-count">${escapeChartText(String(formatValue(item.value)))}</span>
+    </div>
+  `).join('');
+}
+
+function getPlotArea() {
+  return {
+    left: CHART_PADDING.left,
+    right: CHART_WIDTH - CHART_PADDING.right,
+    top: CHART_PADDING.top,
+    bottom: CHART_HEIGHT - CHART_PADDING.bottom,
+    width: CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right,
+    height: CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom
+  };
+}
+
+// Baseline plus a labelled gridline at the top value
+function renderYAxis(plot, maxValue, formatValue = value => value) {
+  return `
+    <line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" class="chart-axis" />
+    <line x1="${plot.left}" y1="${plot.top}" x2="${plot.right}" y2="${plot.top}" class="chart-grid" />
+    <text x="${plot.left - 4}" y="${plot.top + 3}" class="chart-axis-label chart-axis-y">${escapeChartText(String(formatValue(maxValue)))}</text>
+    <text x="${plot.left - 4}" y="${plot.bottom + 3}" class="chart-axis-label chart-axis-y">0</text>
+  `;
+}
+
+// First, middle and last dates only - a label on every point would overlap
+function renderDateLabels(plot, coordinates) {
+  if (coordinates.length === 0) return '';
+  const picks = Array.from(new Set([0, Math.floor((coordinates.length - 1) / 2), coordinates.length - 1]));
+  return picks.map(index => `
+    <text x="${coordinates[index].x}" y="${plot.bottom + 14}" class="chart-axis-label">${escapeChartText(coordinates[index].key.slice(5))}</text>
+  `).join('');
+}
+
+function wrapChart(content) {
+  return `<svg class="chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="xMidYMid meet" role="img">${content}</svg>`;
+}
+
+function escapeChartText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.renderBarChart = renderBarChart;
+  window.renderLineChart = renderLineChart;
+  window.renderStackedBarChart = renderStackedBarChart;
+  window.renderBreakdownBars = renderBreakdownBars;
+}
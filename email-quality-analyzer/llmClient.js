@@ -0,0 +1,86 @@
+/**
+ * LLM Client - Single entry point for every model call made from Gmail
+ * Content scripts never see the API key or call a provider directly: each request is
+ * handed to the background service worker, which queues, rate limits and retries it.
+ */
+
+/**
+ * Thrown when no model call should be made (heuristic mode or missing API key).
+ * Callers catch this to use their offline fallback instead of reporting an API failure.
+ */
+class LLMUnavailableError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'LLMUnavailableError';
+    this.reason = reason; // 'heuristic' | 'no_api_key'
+  }
+}
+
+/**
+ * Thrown when a newer request with the same dedupe key replaced this one in the queue.
+ * The result would describe stale text, so callers should just drop it.
+ */
+class LLMSupersededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LLMSupersededError';
+  }
+}
+
+/**
+ * Ask the background worker to run a prompt and return the model's JSON reply
+ * @param {Object} request
+ * @param {string} request.system - System instructions
+ * @param {string} request.prompt - User prompt (should ask for JSON)
+ * @param {number} [request.maxTokens] - Defaults to CONFIG.OPENAI.maxTokens
+ * @param {number} [request.temperature] - Defaults to CONFIG.OPENAI.temperature
+ * @param {Object} [options]
+ * @param {string} [options.dedupeKey] - Queued requests sharing this key are replaced by the newest one
+ * @returns {Promise<Object>} Parsed JSON object from the model
+ */
+function requestLLMJson(request, options = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({
+      type: 'llm_request',
+      request,
+      dedupeKey: options.dedupeKey || null
+    }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Background worker unavailable: ${chrome.runtime.lastError.message}`));
+        return;
+      }
+      if (!response) {
+        reject(new Error('Background worker returned no response'));
+        return;
+      }
+      if (response.error) {
+        reject(deserializeLLMError(response.error));
+        return;
+      }
+      resolve(response.result);
+    });
+  });
+}
+
+/**
+ * Errors cross the messaging boundary as plain objects - turn them back into the right class
+ */
+function deserializeLLMError(errorData) {
+  if (errorData.name === 'LLMUnavailableError') {
+    return new LLMUnavailableError(errorData.message, errorData.reason);
+  }
+  if (errorData.name === 'LLMSupersededError') {
+    return new LLMSupersededError(errorData.message);
+  }
+
+  const error = new Error(errorData.message);
+  error.status = errorData.status;
+  return error;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.LLMUnavailableError = LLMUnavailableError;
+  window.LLMSupersededError = LLMSupersededError;
+  window.requestLLMJson = requestLLMJson;
+}
@@ -0,0 +1,164 @@
+/**
+ * LLM Providers - Talks to the configured model provider (background service worker only)
+ * Supports OpenAI, any OpenAI-compatible server (Ollama, llama.cpp) and Anthropic.
+ * In "heuristic" mode no network call is ever made - callers fall back to their local logic.
+ * The API key is read here and nowhere else; content scripts go through llmClient.js.
+ */
+
+/**
+ * Read the provider, model, base URL and API key the user picked in the popup
+ * @returns {Promise<Object>} { provider, model, baseUrl, apiKey }
+ */
+async function getLLMSettings() {
+  const config = self.EMAIL_ANALYZER_CONFIG;
+  const keys = ['llm_provider', 'llm_model', 'llm_base_url'];
+  Object.values(config.LLM_PROVIDERS).forEach(p => {
+    if (p.keyStorageKey) keys.push(p.keyStorageKey);
+  });
+
+  const stored = await new Promise((resolve) => {
+    chrome.storage.sync.get(keys, resolve);
+  });
+
+  const provider = config.LLM_PROVIDERS[stored.llm_provider] ? stored.llm_provider : config.DEFAULT_LLM_PROVIDER;
+  const providerConfig = config.LLM_PROVIDERS[provider];
+
+  return {
+    provider,
+    model: stored.llm_model || providerConfig.defaultModel,
+    baseUrl: (stored.llm_base_url || providerConfig.baseUrl).replace(/\/+$/, ''),
+    apiKey: providerConfig.keyStorageKey ? (stored[providerConfig.keyStorageKey] || '') : ''
+  };
+}
+
+/**
+ * Send a prompt to the configured model and parse its JSON reply
+ * @param {Object} request
+ * @param {string} request.system - System instructions
+ * @param {string} request.prompt - User prompt (should ask for JSON)
+ * @param {number} [request.maxTokens] - Defaults to CONFIG.OPENAI.maxTokens
+ * @param {number} [request.temperature] - Defaults to CONFIG.OPENAI.temperature
+ * @returns {Promise<Object>} Parsed JSON object from the model
+ */
+async function callConfiguredLLM({ system, prompt, maxTokens, temperature }) {
+  const config = self.EMAIL_ANALYZER_CONFIG;
+  const settings = await getLLMSettings();
+
+  const unavailableError = getLLMUnavailableError(settings);
+  if (unavailableError) {
+    throw unavailableError;
+  }
+
+  const options = {
+    maxTokens: maxTokens || config.OPENAI.maxTokens,
+    temperature: temperature !== undefined ? temperature : config.OPENAI.temperature
+  };
+
+  const text = settings.provider === 'anthropic'
+    ? await callAnthropic(settings, system, prompt, options)
+    : await callOpenAICompatible(settings, system, prompt, options);
+
+  return parseJsonReply(text);
+}
+
+/**
+ * Heuristic mode and missing keys mean no call should be made at all
+ * @returns {LLMUnavailableError|null}
+ */
+function getLLMUnavailableError(settings) {
+  const providerConfig = self.EMAIL_ANALYZER_CONFIG.LLM_PROVIDERS[settings.provider];
+
+  if (settings.provider === 'heuristic') {
+    return new LLMUnavailableError('Heuristic mode - model calls disabled', 'heuristic');
+  }
+  if (providerConfig.requiresKey && !settings.apiKey) {
+    return new LLMUnavailableError(`No ${providerConfig.label} API key configured`, 'no_api_key');
+  }
+  return null;
+}
+
+/**
+ * OpenAI and every server that speaks its /chat/completions API
+ */
+async function callOpenAICompatible(settings, system, prompt, options) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey) {
+    headers['Authorization'] = `Bearer ${settings.apiKey}`;
+  }
+
+  const response = await fetch(`${settings.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: settings.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      response_format: { type: 'json_object' }
+    })
+  });
+
+  if (!response.ok) {
+    throw createLLMHttpError(settings.provider, response);
+  }
+
+  const data = await response.json();
+  return data.choices[0].message.content;
+}
+
+/**
+ * Anthropic Messages API
+ */
+async function callAnthropic(settings, system, prompt, options) {
+  const response = await fetch(`${settings.baseUrl}/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': settings.apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    },
+    body: JSON.stringify({
+      model: settings.model,
+      system,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: options.temperature,
+      max_tokens: options.maxTokens
+    })
+  });
+
+  if (!response.ok) {
+    throw createLLMHttpError(settings.provider, response);
+  }
+
+  const data = await response.json();
+  return data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+}
+
+// Keep the status (and any Retry-After) so the request queue can decide whether to retry
+function createLLMHttpError(provider, response) {
+  const error = new Error(`${provider} API error: ${response.status}`);
+  error.status = response.status;
+
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) {
+    error.retryAfterMs = retryAfter * 1000;
+  }
+  return error;
+}
+
+/**
+ * Models without a strict JSON mode sometimes wrap the object in prose or code fences
+ */
+function parseJsonReply(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) throw new Error('Model reply did not contain JSON');
+    return JSON.parse(match[0]);
+  }
+}
@@ -0,0 +1,419 @@
+// Friday Draft Edit Analytics - Options page
+// Model provider, privacy, team sync and retention settings, plus export, import and clearing of the stored drafts
+
+document.addEventListener('DOMContentLoaded', async () => {
+  // Fill in the model provider settings they saved last time
+  await loadLLMSettings();
+  await loadRedactionSettings();
+  await loadTeamSyncSettings();
+  await loadRetentionPolicy();
+
+  // Hook up the buttons
+  document.getElementById('llm-provider').addEventListener('change', () => {
+    // A model name from one provider means nothing to another - fall back to the new default
+    document.getElementById('llm-model').value = '';
+    document.getElementById('llm-base-url').value = '';
+    updateProviderFields();
+  });
+  document.getElementById('save-api-key').addEventListener('click', saveLLMSettings);
+  document.getElementById('save-redaction').addEventListener('click', saveRedactionChoices);
+  document.getElementById('save-sync').addEventListener('click', saveTeamSyncChoices);
+  document.getElementById('sync-now').addEventListener('click', () => runTeamSyncAction('flush'));
+  document.getElementById('sync-existing').addEventListener('click', () => runTeamSyncAction('queue_existing'));
+  document.getElementById('save-retention').addEventListener('click', saveRetentionChoices);
+  document.getElementById('redact-preview-input').addEventListener('input', updateRedactionPreview);
+  document.getElementById('redact-custom').addEventListener('input', updateRedactionPreview);
+  document.querySelectorAll('input[name="redact-category"]').forEach(input => {
+    input.addEventListener('change', updateRedactionPreview);
+  });
+  document.getElementById('clear-data').addEventListener('click', clearAllData);
+  document.getElementById('export-drafts').addEventListener('click', exportFilteredDrafts);
+  document.getElementById('import-drafts').addEventListener('click', importDraftFile);
+});
+
+// Everything we read from chrome.storage.sync, so switching providers can show that provider's saved key
+let savedSettings = {};
+
+async function loadLLMSettings() {
+  const providers = window.EMAIL_ANALYZER_CONFIG.LLM_PROVIDERS;
+  const keys = ['llm_provider', 'llm_model', 'llm_base_url'];
+  Object.values(providers).forEach(p => {
+    if (p.keyStorageKey) keys.push(p.keyStorageKey);
+  });
+
+  savedSettings = await new Promise((resolve) => {
+    chrome.storage.sync.get(keys, resolve);
+  });
+
+  const providerSelect = document.getElementById('llm-provider');
+  providerSelect.innerHTML = Object.entries(providers)
+    .map(([id, p]) => `<option value="${id}">${p.label}</option>`)
+    .join('');
+  providerSelect.value = providers[savedSettings.llm_provider]
+    ? savedSettings.llm_provider
+    : window.EMAIL_ANALYZER_CONFIG.DEFAULT_LLM_PROVIDER;
+
+  document.getElementById('llm-model').value = savedSettings.llm_model || '';
+  document.getElementById('llm-base-url').value = savedSettings.llm_base_url || '';
+  updateProviderFields();
+
+  const provider = providers[providerSelect.value];
+  if (providerSelect.value === 'heuristic' || !provider.requiresKey || savedSettings[provider.keyStorageKey]) {
+    showStatus(`${provider.label} configured ✓`, '#059669');
+  }
+}
+
+// Only show the fields that matter for the chosen provider
+function updateProviderFields() {
+  const providerId = document.getElementById('llm-provider').value;
+  const provider = window.EMAIL_ANALYZER_CONFIG.LLM_PROVIDERS[providerId];
+
+  document.getElementById('base-url-field').style.display = providerId === 'openai_compatible' ? 'block' : 'none';
+  document.getElementById('api-key-field').style.display = provider.keyStorageKey ? 'block' : 'none';
+  document.getElementById('llm-model').disabled = providerId === 'heuristic';
+  document.getElementById('llm-model').placeholder = provider.defaultModel || 'Not used in heuristic mode';
+  document.getElementById('llm-base-url').placeholder = provider.baseUrl;
+  document.getElementById('api-key-label').textContent = provider.requiresKey ? `${provider.label} API Key` : 'API Key (optional)';
+  document.getElementById('api-key-input').placeholder = providerId === 'anthropic' ? 'sk-ant-...' : 'sk-...';
+  document.getElementById('api-key-input').value = provider.keyStorageKey ? (savedSettings[provider.keyStorageKey] || '') : '';
+}
+
+function saveLLMSettings() {
+  const providerId = document.getElementById('llm-provider').value;
+  const provider = window.EMAIL_ANALYZER_CONFIG.LLM_PROVIDERS[providerId];
+  const apiKey = document.getElementById('api-key-input').value.trim();
+
+  if (providerId === 'openai' && !apiKey.startsWith('sk-')) {
+    showStatus('Invalid API key format', '#dc2626');
+    return;
+  }
+  if (providerId === 'anthropic' && !apiKey.startsWith('sk-ant-')) {
+    showStatus('Invalid API key format', '#dc2626');
+    return;
+  }
+
+  const updates = {
+    llm_provider: providerId,
+    llm_model: document.getElementById('llm-model').value.trim(),
+    llm_base_url: document.getElementById('llm-base-url').value.trim()
+  };
+  if (provider.keyStorageKey) {
+    updates[provider.keyStorageKey] = apiKey;
+  }
+
+  // Self-hosted servers outside localhost need a host permission before the background worker can reach them
+  const originPattern = providerId === 'openai_compatible' ? getOriginPattern(updates.llm_base_url) : null;
+  if (updates.llm_base_url && providerId === 'openai_compatible' && !originPattern) {
+    showStatus('Invalid base URL', '#dc2626');
+    return;
+  }
+
+  const permissionRequest = originPattern
+    ? chrome.permissions.request({ origins: [originPattern] })
+    : Promise.resolve(true);
+
+  permissionRequest.then((granted) => {
+    if (!granted) {
+      showStatus('Permission to reach that server was denied', '#dc2626');
+      return;
+    }
+
+    chrome.storage.sync.set(updates, () => {
+      savedSettings = { ...savedSettings, ...updates };
+      showStatus('Settings saved successfully ✓', '#059669');
+    });
+  });
+}
+
+function getOriginPattern(baseUrl) {
+  try {
+    const url = new URL(baseUrl);
+    return `${url.protocol}//${url.hostname}/*`;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function loadRedactionSettings() {
+  const settings = await window.getRedactionSettings();
+
+  document.querySelectorAll('input[name="redact-category"]').forEach(input => {
+    input.checked = !!settings[input.value];
+  });
+  document.getElementById('redact-custom').value = settings.customPatterns.join('\n');
+  document.getElementById('redact-storage').checked = settings.storeRedactedOnly;
+}
+
+// What's on screen right now (saved or not), so the preview matches what Save would store
+function readRedactionChoices() {
+  const settings = {
+    customPatterns: document.getElementById('redact-custom').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0),
+    storeRedactedOnly: document.getElementById('redact-storage').checked
+  };
+  document.querySelectorAll('input[name="redact-category"]').forEach(input => {
+    settings[input.value] = input.checked;
+  });
+  return settings;
+}
+
+function saveRedactionChoices() {
+  const settings = readRedactionChoices();
+  const errorBox = document.getElementById('redact-errors');
+
+  const problems = window.validateCustomPatterns(settings.customPatterns);
+  errorBox.innerHTML = problems.map(escapeHtml).join('<br>');
+  errorBox.hidden = problems.length === 0;
+  if (problems.length > 0) {
+    showStatus('Fix the custom patterns before saving', '#dc2626');
+    return;
+  }
+
+  window.saveRedactionSettings(settings).then(() => {
+    showStatus('Privacy settings saved ✓', '#059669');
+  });
+}
+
+function updateRedactionPreview() {
+  const input = document.getElementById('redact-preview-input').value;
+  const preview = document.getElementById('redact-preview');
+  preview.hidden = !input;
+  if (!input) return;
+
+  const settings = readRedactionChoices();
+  // Leave out patterns that don't compile yet - the user is probably still typing them
+  settings.customPatterns = settings.customPatterns.filter(pattern => window.validateCustomPatterns([pattern]).length === 0);
+  preview.textContent = window.redactPII(input, settings);
+}
+
+async function loadTeamSyncSettings() {
+  const settings = await getTeamSyncSettings();
+  document.getElementById('sync-enabled').checked = settings.enabled;
+  document.getElementById('sync-endpoint').value = settings.endpoint;
+  document.getElementById('sync-token').value = settings.token;
+  document.getElementById('sync-user').value = settings.userLabel;
+  document.getElementById('sync-include').value = settings.include;
+  refreshTeamSyncStatus();
+}
+
+function saveTeamSyncChoices() {
+  const settings = {
+    enabled: document.getElementById('sync-enabled').checked,
+    endpoint: document.getElementById('sync-endpoint').value.trim(),
+    token: document.getElementById('sync-token').value.trim(),
+    userLabel: document.getElementById('sync-user').value.trim(),
+    include: document.getElementById('sync-include').value
+  };
+
+  // Same as a self-hosted model server: the worker needs a host permission for the collector
+  const originPattern = settings.endpoint ? getOriginPattern(settings.endpoint) : null;
+  if (settings.endpoint && !originPattern) {
+    showStatus('Invalid collector URL', '#dc2626');
+    return;
+  }
+  if (settings.enabled && !settings.endpoint) {
+    showStatus('Enter a collector URL to turn on sync', '#dc2626');
+    return;
+  }
+
+  const permissionRequest = originPattern
+    ? chrome.permissions.request({ origins: [originPattern] })
+    : Promise.resolve(true);
+
+  permissionRequest.then((granted) => {
+    if (!granted) {
+      showStatus('Permission to reach the collector was denied', '#dc2626');
+      return;
+    }
+    saveTeamSyncSettings(settings).then(() => showStatus('Sync settings saved ✓', '#059669'));
+  });
+}
+
+// "Send now" skips any retry wait; "Queue existing" also picks up drafts finished before sync was on
+function runTeamSyncAction(operation) {
+  chrome.runtime.sendMessage({ type: 'team_sync', operation }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      showStatus('Sync request failed', '#dc2626');
+      return;
+    }
+
+    const result = response.result;
+    if (result.error) {
+      showStatus(`Sync failed: ${result.error}`, '#dc2626');
+    } else {
+      const queued = result.queued !== undefined ? `${result.queued} queued, ` : '';
+      showStatus(`${queued}${result.sent} sent, ${result.pending} waiting ✓`, '#059669');
+    }
+    refreshTeamSyncStatus();
+  });
+}
+
+function refreshTeamSyncStatus() {
+  chrome.runtime.sendMessage({ type: 'team_sync', operation: 'status' }, (response) => {
+    const statusLine = document.getElementById('sync-status');
+    if (chrome.runtime.lastError || !response || response.error) {
+      statusLine.textContent = '';
+      return;
+    }
+
+    const status = response.result;
+    const parts = [`${status.pending} draft${status.pending === 1 ? '' : 's'} waiting`];
+    if (status.lastSuccessAt) parts.push(`last sent ${new Date(status.lastSuccessAt).toLocaleString()}`);
+    if (status.lastError) {
+      parts.push(`last attempt failed: ${status.lastError}`);
+      if (status.nextAttemptAt) parts.push(`retrying ${new Date(status.nextAttemptAt).toLocaleTimeString()}`);
+    }
+    statusLine.textContent = parts.join(' · ');
+  });
+}
+
+const RETENTION_FIELDS = [
+  ['retention-max-age', 'maxAgeDays'],
+  ['retention-max-count', 'maxCount'],
+  ['retention-drop-bodies', 'dropBodiesAfterDays']
+];
+
+async function loadRetentionPolicy() {
+  const policy = await getRetentionPolicy();
+  RETENTION_FIELDS.forEach(([id, key]) => {
+    document.getElementById(id).value = policy[key] > 0 ? policy[key] : '';
+  });
+
+  chrome.storage.local.get(['retention_last_run'], (result) => showRetentionLastRun(result.retention_last_run));
+}
+
+function saveRetentionChoices() {
+  const policy = {};
+  for (const [id, key] of RETENTION_FIELDS) {
+    const value = document.getElementById(id).value.trim();
+    const number = value ? Number(value) : 0;
+    if (!Number.isInteger(number) || number < 0) {
+      showStatus('Retention limits must be whole numbers', '#dc2626');
+      return;
+    }
+    policy[key] = number;
+  }
+
+  // The worker runs the policy on its own schedule too; asking now means the change shows up right away
+  saveRetentionPolicy(policy).then(() => {
+    chrome.runtime.sendMessage({ type: 'apply_retention' }, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        showStatus('Retention saved - it will apply at the next scheduled cleanup', '#059669');
+        return;
+      }
+      showRetentionLastRun(response.result);
+      // The worker already told any open analytics tab to reload
+      showStatus(`Retention applied: ${response.result.deleted} deleted, ${response.result.stripped} trimmed ✓`, '#059669');
+    });
+  });
+}
+
+function showRetentionLastRun(lastRun) {
+  document.getElementById('retention-last-run').textContent = lastRun
+    ? `Last cleanup ${new Date(lastRun.at).toLocaleString()}: ${lastRun.deleted} deleted, text dropped from ${lastRun.stripped}`
+    : 'No cleanup has run yet';
+}
+
+// Export every draft matching the date range and status filters in the chosen format
+function exportFilteredDrafts() {
+  const fromValue = document.getElementById('export-from').value;
+  const toValue = document.getElementById('export-to').value;
+  const statuses = Array.from(document.querySelectorAll('input[name="export-status"]:checked'))
+    .map(input => input.value);
+  const format = document.getElementById('export-format').value;
+  const redactBodies = document.getElementById('export-redact').checked;
+
+  if (statuses.length === 0) {
+    showStatus('Pick at least one status to export', '#dc2626');
+    return;
+  }
+
+  const range = getDateInputRange(fromValue, toValue);
+  if (range.from !== null && range.to !== null && range.from > range.to) {
+    showStatus('"From" date is after "To" date', '#dc2626');
+    return;
+  }
+
+  const drafts = [];
+  forEachDraft(draft => {
+    if (statuses.includes(draft.status)) drafts.push(draft);
+  }, range).then(() => {
+    if (drafts.length === 0) {
+      showStatus('No drafts match those filters', '#dc2626');
+      return;
+    }
+
+    const file = window.exportDrafts(drafts, {
+      format,
+      redactBodies,
+      filters: { from: fromValue || null, to: toValue || null, statuses }
+    });
+    downloadFile(file.content, file.mimeType, `friday-drafts-${new Date().toISOString().slice(0, 10)}.${file.extension}`);
+    showStatus(`Exported ${drafts.length} draft${drafts.length === 1 ? '' : 's'} ✓`, '#059669');
+  }).catch(error => {
+    console.error('[Options] Export failed:', error);
+    showStatus('Export failed', '#dc2626');
+  });
+}
+
+// Merge a teammate's export into our store. The whole file is validated before anything is written.
+function importDraftFile() {
+  const sourceUser = document.getElementById('import-source-user').value.trim();
+  const file = document.getElementById('import-file').files[0];
+  const errorBox = document.getElementById('import-errors');
+  errorBox.hidden = true;
+
+  if (!sourceUser) {
+    showStatus('Enter whose drafts these are', '#dc2626');
+    return;
+  }
+  if (!file) {
+    showStatus('Choose an export file to import', '#dc2626');
+    return;
+  }
+
+  file.text()
+    .then(text => {
+      const { drafts, errors } = window.parseDraftImport(text, sourceUser);
+      if (errors.length > 0) {
+        errorBox.innerHTML = errors.map(escapeHtml).join('<br>');
+        errorBox.hidden = false;
+        showStatus('Import rejected - nothing was saved', '#dc2626');
+        return;
+      }
+
+      return importDrafts(drafts, window.pickMoreCompleteDraft).then(counts => {
+        showStatus(`Imported: ${counts.added} new, ${counts.updated} updated, ${counts.unchanged} already up to date ✓`, '#059669');
+        document.getElementById('import-file').value = '';
+        notifyDraftsChanged();
+      });
+    })
+    .catch(error => {
+      console.error('[Options] Import failed:', error);
+      showStatus('Import failed', '#dc2626');
+    });
+}
+
+function clearAllData() {
+  // Double check they really want to do this
+  if (!confirm('Are you sure you want to clear all draft data? This cannot be undone.')) {
+    return;
+  }
+
+  // Wipe everything and let an open analytics tab refresh
+  clearDrafts().then(() => {
+    showStatus('All data cleared ✓', '#059669');
+    notifyDraftsChanged();
+  });
+}
+
+// Tell any open analytics tab to reload (nobody listening is fine)
+function notifyDraftsChanged() {
+  chrome.runtime.sendMessage({ type: 'drafts_changed' }, () => {
+    if (chrome.runtime.lastError) {
+      // No analytics tab open - nothing to refresh
+    }
+  });
+}
@@ -0,0 +1,185 @@
+/**
+ * PII Redactor - Masks personal details in email text before it leaves the browser
+ * The background worker runs every model prompt through redactPII, and content.js uses it
+ * for the draft store when "store redacted text only" is on. Placeholders are plain
+ * [EMAIL]/[PHONE]/... tokens without numbering, so the same text always masks the same
+ * way and revisions of a masked draft still diff cleanly.
+ */
+
+const REDACTION_SETTINGS_KEY = 'pii_redaction';
+
+// Ends on a URL character, so sentence punctuation after a link ("see https://x.com.") stays in the text
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"')\]]*[^\s<>"')\].,;:!?]/gi;
+const EMAIL_PATTERN = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi;
+
+// Broad on purpose; the digit count check in maskPhones weeds out dates, times and ids
+const PHONE_PATTERN = /(?:\+\d[\d\s().-]{7,}\d|\(?\b\d{2,4}\)?[\s.-]\d{3,4}[\s.-]\d{3,4}\b)/g;
+const PHONE_DIGITS = { min: 9, max: 15 };
+
+const MONEY_PATTERN = new RegExp(
+  '(?:[$€£¥]\\s?\\d[\\d,]*(?:\\.\\d+)?(?:\\s?(?:k|m|mm|bn|million|billion|thousand)\\b)?' +
+  '|\\b\\d[\\d,]*(?:\\.\\d+)?\\s?(?:k|m|million|billion|thousand)?\\s?(?:usd|eur|gbp|dollars|euros|pounds)\\b)',
+  'gi'
+);
+
+// "Hi Sam," / "Dear Dr. Patel" - the name is whatever capitalized words follow the greeting.
+// Both name patterns allow a quote mark at the start/end of the line, since prompts quote the email.
+const GREETING_NAME_PATTERN = /^([ \t]*["“]?[ \t]*(?:hi|hello|hey|dear|good (?:morning|afternoon|evening))[ \t]+)([A-Za-z][\w'’.-]*(?:[ \t]+[A-Za-z][\w'’.-]*){0,2})(?=[ \t]*[,!:\r\n]|[ \t]*["”]?[ \t]*$)/gim;
+
+// "Best,\nSam Lee" or "Thanks, Sam" - the name on the sign-off line or the line under it
+const SIGN_OFF_NAME_PATTERN = /^([ \t]*["“]?[ \t]*(?:best|best regards|kind regards|warm regards|regards|thanks|thank you|many thanks|cheers|sincerely|all the best|talk soon)[ \t]*[,!.]?[ \t]*(?:\r?\n[ \t]*)?)([A-Za-z][\w'’.-]*(?:[ \t]+[A-Za-z][\w'’.-]*){0,2})(?=[ \t]*["”]?[ \t]*$)/gim;
+
+// Every placeholder redactPII can leave behind
+const PLACEHOLDER_PATTERN = /\[(EMAIL|PHONE|URL|NAME|AMOUNT|REDACTED)\]/g;
+
+// Capitalized words that follow a greeting but aren't anyone's name
+const NOT_NAMES = new Set(['all', 'everyone', 'team', 'there', 'folks', 'guys', 'again', 'both', 'sir', 'madam', 'friends', 'the']);
+
+/**
+ * Mask the enabled categories in a piece of text
+ * @param {string} text - Email text (or a whole prompt)
+ * @param {Object} settings - From getRedactionSettings()
+ * @returns {string} The text with PII replaced by placeholders
+ */
+function redactPII(text, settings) {
+  if (!text) return text;
+
+  let result = text;
+  // URLs before emails so "https://x.com/a@b" is one URL, and both before phones/money so their digits aren't split up
+  if (settings.urls) result = result.replace(URL_PATTERN, '[URL]');
+  if (settings.emails) result = result.replace(EMAIL_PATTERN, '[EMAIL]');
+  if (settings.phones) result = maskPhones(result);
+  if (settings.money) result = result.replace(MONEY_PATTERN, '[AMOUNT]');
+  if (settings.names) result = maskNames(result);
+
+  compileCustomPatterns(settings.customPatterns).forEach(pattern => {
+    result = result.replace(pattern, '[REDACTED]');
+  });
+
+  return result;
+}
+
+/**
+ * Put the real details back into text a model wrote from a masked prompt (e.g. a rewrite).
+ * Placeholders aren't numbered, so the only safe mapping is position: the rewrite has to keep
+ * exactly the original's placeholders in the same order. Otherwise (one dropped, added or moved,
+ * e.g. two names swapped places) nothing is restored and the placeholders are left for the user.
+ * @param {string} text - Model output containing placeholders
+ * @param {string} originalText - The unmasked text the prompt was built from
+ * @param {Object} settings - The redaction settings the prompt was masked with
+ * @returns {Object} { text, restored } - restored is false when placeholders were left in
+ */
+function restoreMaskedDetails(text, originalText, settings) {
+  const masked = redactPII(originalText, settings);
+  const placeholders = (text || '').match(PLACEHOLDER_PATTERN) || [];
+  const maskedPlaceholders = masked === originalText ? [] : masked.match(PLACEHOLDER_PATTERN) || [];
+  if (placeholders.length === 0 && maskedPlaceholders.length === 0) return { text, restored: true };
+  if (placeholders.join() !== maskedPlaceholders.join()) return { text, restored: false };
+
+  // The masked original as a pattern over the real one: literal text, with a capture where each placeholder sits
+  let source = '';
+  let last = 0;
+  masked.replace(PLACEHOLDER_PATTERN, (placeholder, type, offset) => {
+    source += escapeRegExp(masked.slice(last, offset)) + '([\\s\\S]+?)';
+    last = offset + placeholder.length;
+    return placeholder;
+  });
+  const match = originalText.match(new RegExp(`^${source}${escapeRegExp(masked.slice(last))}$`));
+  if (!match) return { text, restored: false };
+
+  let index = 0;
+  return { text: text.replace(PLACEHOLDER_PATTERN, () => match[++index]), restored: true };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function maskPhones(text) {
+  return text.replace(PHONE_PATTERN, match => {
+    const digits = match.replace(/\D/g, '').length;
+    return digits >= PHONE_DIGITS.min && digits <= PHONE_DIGITS.max ? '[PHONE]' : match;
+  });
+}
+
+function maskNames(text) {
+  const maskName = (match, lead, name) => {
+    // The patterns match case-insensitively so "hi"/"Hi" both work - names still have to be capitalized
+    const firstWord = name.split(/[ \t]+/)[0];
+    if (!/^[A-Z]/.test(firstWord) || NOT_NAMES.has(firstWord.toLowerCase())) return match;
+    return `${lead}[NAME]`;
+  };
+
+  return text
+    .replace(GREETING_NAME_PATTERN, maskName)
+    .replace(SIGN_OFF_NAME_PATTERN, maskName);
+}
+
+/**
+ * Turn the user's pattern strings into regexes. A bad pattern is skipped rather than
+ * failing the whole redaction - the options page rejects them on save anyway.
+ */
+function compileCustomPatterns(patterns) {
+  return (patterns || []).map(source => {
+    try {
+      return new RegExp(source, 'gi');
+    } catch (error) {
+      console.warn('[PII Redactor] Skipping invalid pattern:', source, error.message);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Patterns that won't compile, or that match the empty string (they'd insert a placeholder everywhere)
+ * @returns {Array<string>} Problems, one per bad pattern
+ */
+function validateCustomPatterns(patterns) {
+  const problems = [];
+  patterns.forEach(source => {
+    try {
+      if (new RegExp(source, 'i').test('')) problems.push(`"${source}" matches empty text`);
+    } catch (error) {
+      problems.push(`"${source}" is not a valid pattern: ${error.message}`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * The user's redaction choices over the CONFIG defaults
+ * @returns {Promise<Object>}
+ */
+function getRedactionSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([REDACTION_SETTINGS_KEY], (result) => {
+      resolve({ ...self.EMAIL_ANALYZER_CONFIG.PII_REDACTION, ...(result[REDACTION_SETTINGS_KEY] || {}) });
+    });
+  });
+}
+
+/**
+ * Call back with the current settings now and again whenever the options page changes them
+ */
+function watchRedactionSettings(callback) {
+  getRedactionSettings().then(callback);
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes[REDACTION_SETTINGS_KEY]) getRedactionSettings().then(callback);
+  });
+}
+
+function saveRedactionSettings(settings) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.set({ [REDACTION_SETTINGS_KEY]: settings }, resolve);
+  });
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.redactPII = redactPII;
+  window.restoreMaskedDetails = restoreMaskedDetails;
+  window.validateCustomPatterns = validateCustomPatterns;
+  window.getRedactionSettings = getRedactionSettings;
+  window.watchRedactionSettings = watchRedactionSettings;
+  window.saveRedactionSettings = saveRedactionSettings;
+}
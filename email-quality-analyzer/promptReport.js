@@ -0,0 +1,233 @@
+/**
+ * Prompt Report - Turns consistent edit patterns into suggested changes to Friday's instructions
+ * Sent drafts are clustered by email type and by the tone/CTA/length label the analysis gave
+ * them. A cluster that covers enough of its type becomes a recommendation, backed by the most
+ * recent before/after pairs. Built one record at a time like draftInsights.js (whose
+ * getOrCreate it shares) - no DOM.
+ */
+
+const REPORT_PATTERN_FIELDS = ['lengthChange', 'ctaChange', 'toneChange'];
+const NO_CHANGE_LABEL = 'No significant change';
+const ALL_EMAILS = 'all';
+
+// How each pattern reads in the report. scope is e.g. "investor emails"; stats come from the cluster.
+const PATTERN_TEMPLATES = {
+  Shortened: {
+    finding: (scope, stats) => `Shortened in ${stats.sharePercent}% of ${scope}, by ${Math.abs(stats.avgLengthChange)}% on average`,
+    instruction: (scope, stats) => `Keep ${scope} shorter${aimFor(stats)} and cut anything that doesn't support the ask.`
+  },
+  Expanded: {
+    finding: (scope, stats) => `Expanded in ${stats.sharePercent}% of ${scope}, by ${stats.avgLengthChange}% on average`,
+    instruction: (scope, stats) => `Give ${scope} more substance${aimFor(stats)}, adding the context and specifics users keep adding by hand.`
+  },
+  'Vague → specific': {
+    finding: (scope, stats) => `CTA made specific in ${stats.sharePercent}% of ${scope}`,
+    instruction: (scope) => `End ${scope} with a specific call-to-action: one concrete next step with a proposed day or time, not an open-ended "let me know".`
+  },
+  'CTA added': {
+    finding: (scope, stats) => `CTA added in ${stats.sharePercent}% of ${scope}`,
+    instruction: (scope) => `Always close ${scope} with one clear ask.`
+  },
+  'CTA removed': {
+    finding: (scope, stats) => `CTA removed or softened in ${stats.sharePercent}% of ${scope}`,
+    instruction: (scope) => `Soften the ask in ${scope} - offer help or a next step without pressing for a reply.`
+  },
+  'More formal': {
+    finding: (scope, stats) => `Made more formal in ${stats.sharePercent}% of ${scope}`,
+    instruction: (scope) => `Use a more formal register for ${scope}: full sentences, no contractions or slang, a formal greeting and sign-off.`
+  },
+  'More casual': {
+    finding: (scope, stats) => `Made more casual in ${stats.sharePercent}% of ${scope}`,
+    instruction: (scope) => `Use a warmer, more conversational tone for ${scope} - contractions and a friendly greeting are fine.`
+  }
+};
+
+// Drafts stored before word counts were recorded leave no typical length to aim for
+function aimFor(stats) {
+  return stats.typicalWords ? ` - aim for about ${stats.typicalWords} words` : '';
+}
+
+// detectEmailType's categories (index.js), as they read mid-sentence
+const EMAIL_TYPE_SCOPES = {
+  customer_reply: 'customer replies',
+  follow_up: 'follow-ups',
+  cold_outreach: 'cold outreach emails',
+  investor_email: 'investor emails',
+  [ALL_EMAILS]: 'all emails'
+};
+
+/**
+ * @param {Object} options - CONFIG.PROMPT_REPORT ({ minDrafts, minShare, typeShareMargin, examplesPerPattern })
+ */
+function createPromptReportAccumulator(options) {
+  return {
+    options,
+    total: 0,
+    groups: new Map()   // emailType or 'all' -> { total, patterns: Map(label -> cluster) }
+  };
+}
+
+/**
+ * Fold one draft into the clusters. Only sent drafts count - an abandoned draft's
+ * edits don't show what the user actually wanted to send - and only ones the user edited
+ * by hand: after a toolbar rewrite the changes are partly the model's own.
+ */
+function addDraftToPromptReport(accumulator, draft) {
+  if (draft.status !== 'sent' || (draft.assistantRewrites && draft.assistantRewrites.length)) return;
+  if (!REPORT_PATTERN_FIELDS.some(field => draft[field])) return;
+  accumulator.total++;
+
+  // Every draft counts towards "all emails", and towards its own type when it has one
+  const groupKeys = draft.emailType ? [ALL_EMAILS, draft.emailType] : [ALL_EMAILS];
+  groupKeys.forEach(groupKey => {
+    const group = getOrCreate(accumulator.groups, groupKey, () => ({ total: 0, patterns: new Map() }));
+    group.total++;
+
+    REPORT_PATTERN_FIELDS.forEach(field => {
+      const label = draft[field];
+      if (!label || label === NO_CHANGE_LABEL || !PATTERN_TEMPLATES[label]) return;
+
+      const cluster = getOrCreate(group.patterns, label,
+        () => ({ field, count: 0, lengthChanges: [], finalWordCounts: [], examples: [] }));
+      cluster.count++;
+
+      if (draft.originalWordCount > 0 && draft.finalWordCount >= 0) {
+        cluster.lengthChanges.push(((draft.finalWordCount - draft.originalWordCount) / draft.originalWordCount) * 100);
+        cluster.finalWordCounts.push(draft.finalWordCount);
+      }
+
+      // The store is walked oldest first, so keeping the tail keeps the most recent pairs
+      if (draft.originalText && draft.finalText && !draft.bodiesRedacted) {
+        cluster.examples.push({
+          id: draft.id,
+          before: draft.originalText,
+          after: draft.finalText,
+          summary: draft.summary || '',
+          editPercentage: draft.editPercentage || 0
+        });
+        if (cluster.examples.length > accumulator.options.examplesPerPattern) cluster.examples.shift();
+      }
+    });
+  });
+}
+
+/**
+ * Pick the clusters consistent enough to act on
+ * @param {Object} accumulator - From createPromptReportAccumulator()
+ * @param {number} [now] - Report timestamp (defaults to now)
+ * @returns {Object} { generatedAt, draftCount, options, recommendations: [{ emailType, field, label, count, total, share, avgLengthChange, typicalWords, finding, instruction, examples }] }
+ */
+function finalizePromptReport(accumulator, now = Date.now()) {
+  const options = accumulator.options;
+  const candidates = [];
+  accumulator.groups.forEach((group, emailType) => {
+    group.patterns.forEach((cluster, label) => {
+      const share = cluster.count / group.total;
+      if (cluster.count < options.minDrafts || share < options.minShare) return;
+      candidates.push(buildRecommendation(emailType, label, cluster, group.total, share));
+    });
+  });
+
+  // "All emails" only gets its own entry when the pattern reaches beyond the types already
+  // listed for it (otherwise it's just those types again). When it does, it's one instruction
+  // for everything, and a type keeps its own entry only if the pattern is clearly stronger there.
+  const typeCandidates = candidates.filter(candidate => candidate.emailType !== ALL_EMAILS);
+  const overallFindings = new Map();
+  candidates.filter(candidate => candidate.emailType === ALL_EMAILS).forEach(candidate => {
+    const coveredByTypes = typeCandidates
+      .filter(typeCandidate => typeCandidate.label === candidate.label)
+      .reduce((sum, typeCandidate) => sum + typeCandidate.count, 0);
+    if (candidate.count - coveredByTypes >= options.minDrafts) overallFindings.set(candidate.label, candidate);
+  });
+
+  const recommendations = Array.from(overallFindings.values())
+    .concat(typeCandidates.filter(candidate => !overallFindings.has(candidate.label) ||
+      candidate.share >= overallFindings.get(candidate.label).share + options.typeShareMargin))
+    .sort((a, b) => b.share - a.share || b.count - a.count);
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    draftCount: accumulator.total,
+    options,
+    recommendations
+  };
+}
+
+function buildRecommendation(emailType, label, cluster, total, share) {
+  const scope = EMAIL_TYPE_SCOPES[emailType] || emailType;
+  const stats = {
+    sharePercent: Math.round(share * 100),
+    avgLengthChange: cluster.lengthChanges.length ? Math.round(average(cluster.lengthChanges)) : 0,
+    typicalWords: cluster.finalWordCounts.length ? Math.round(median(cluster.finalWordCounts)) : null
+  };
+  const template = PATTERN_TEMPLATES[label];
+
+  return {
+    emailType,
+    field: cluster.field,
+    label,
+    count: cluster.count,
+    total,
+    share,
+    avgLengthChange: stats.avgLengthChange,
+    typicalWords: stats.typicalWords,
+    finding: `${template.finding(scope, stats)} (${cluster.count} of ${total} sent)`,
+    instruction: template.instruction(scope, stats),
+    // Newest first
+    examples: cluster.examples.slice().reverse()
+  };
+}
+
+/**
+ * The report as Markdown, ready to paste into a prompt review or an issue
+ */
+function promptReportToMarkdown(report) {
+  const { minDrafts, minShare } = report.options;
+  const lines = [
+    '# Friday prompt improvement report',
+    '',
+    `Generated ${report.generatedAt.slice(0, 10)} from ${report.draftCount} sent drafts. ` +
+      `A pattern is listed when at least ${Math.round(minShare * 100)}% of an email type's drafts (and at least ${minDrafts}) show it.`,
+    ''
+  ];
+
+  if (report.recommendations.length === 0) {
+    lines.push('No consistent edit patterns yet.');
+    return lines.join('\n') + '\n';
+  }
+
+  report.recommendations.forEach((recommendation, index) => {
+    lines.push(`## ${index + 1}. ${recommendation.finding}`, '');
+    lines.push(`**Suggested instruction:** ${recommendation.instruction}`, '');
+    recommendation.examples.forEach(example => {
+      lines.push(`### Example \`${example.id}\` (${example.editPercentage}% edited)`, '');
+      if (example.summary) lines.push(`_${example.summary}_`, '');
+      lines.push('**Friday wrote:**', '', quoteMarkdown(example.before), '');
+      lines.push('**User sent:**', '', quoteMarkdown(example.after), '');
+    });
+  });
+
+  return lines.join('\n');
+}
+
+function quoteMarkdown(text) {
+  return text.trim().split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.createPromptReportAccumulator = createPromptReportAccumulator;
+  window.addDraftToPromptReport = addDraftToPromptReport;
+  window.finalizePromptReport = finalizePromptReport;
+  window.promptReportToMarkdown = promptReportToMarkdown;
+}
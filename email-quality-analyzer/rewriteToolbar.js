@@ -0,0 +1,281 @@
+/**
+ * Rewrite Toolbar - One-click model rewrites of the compose body
+ * A "✨ Rewrite" button sits in the corner of each compose body and offers: more formal, shorten
+ * to the ideal length for the email type, or make the CTA specific. The model's version is shown
+ * as a word diff first and only replaces the text when the user confirms. Quoted replies and the
+ * signature are left alone (the text map helpers come from inlineSuggestions.js).
+ */
+
+// What each action asks of the model. context: { emailType, typeLabel, wordCount, ideal }
+const REWRITE_ACTIONS = {
+  formal: {
+    label: () => 'More formal',
+    instruction: () => 'Make this email more formal: full sentences, no contractions or slang, a formal greeting and sign-off. ' +
+      'Keep the content and the ask the same.'
+  },
+  shorten: {
+    label: ({ ideal }) => `Shorten to ${ideal.idealMin}-${ideal.idealMax} words`,
+    instruction: ({ typeLabel, wordCount, ideal }) => `Shorten this email to ${ideal.idealMin}-${ideal.idealMax} words, ` +
+      `the ideal length for a ${typeLabel} (it is ${wordCount} words now). Keep the greeting, the key facts and the ask; cut filler and repetition.`,
+    // Nothing to shorten when it's already within range
+    isAvailable: ({ wordCount, ideal }) => wordCount > ideal.idealMax
+  },
+  cta: {
+    label: () => 'Make CTA specific',
+    instruction: () => 'Replace the call-to-action with one specific next step that proposes a day or time ' +
+      '(for example "Are you free for 15 minutes on Tuesday or Wednesday?"). If there is no call-to-action, ' +
+      'add one at the end of the body, before the sign-off. Change nothing else.'
+  }
+};
+
+/**
+ * Ask the model for a rewritten version of the email
+ * @param {string} action - Key of REWRITE_ACTIONS
+ * @param {string} text - The email body (without quoted text or signature)
+ * @param {string} emailType - detectEmailType category
+ * @returns {Promise<Object>} { text, restored } - the rewritten email, with masked details put back
+ *   when its placeholders still line up with the original's (see restoreMaskedDetails)
+ */
+async function requestDraftRewrite(action, text, emailType) {
+  const config = window.EMAIL_ANALYZER_CONFIG;
+  const prompt = `${REWRITE_ACTIONS[action].instruction(getRewriteContext(text, emailType))}
+Placeholders in square brackets such as [NAME] or [EMAIL] stand for details that were hidden - keep them exactly as written.
+
+EMAIL:
+"""
+${text}
+"""
+
+Return the full rewritten email as a JSON object:
+{
+  "rewrittenText": "<the rewritten email>"
+}`;
+
+  const result = await window.requestLLMJson({
+    system: 'You are an expert email editor. Always respond with valid JSON only.',
+    prompt,
+    maxTokens: config.AI_REWRITE.maxTokens,
+    temperature: config.AI_REWRITE.temperature
+  });
+  if (!result || typeof result.rewrittenText !== 'string' || !result.rewrittenText.trim()) {
+    throw new Error('The model did not return a rewritten email');
+  }
+
+  // The background worker masked the prompt, so the rewrite comes back with placeholders
+  return window.restoreMaskedDetails(result.rewrittenText.trim(), text, await window.getRedactionSettings());
+}
+
+function getRewriteContext(text, emailType) {
+  const types = window.EMAIL_ANALYZER_CONFIG.EMAIL_TYPES;
+  return {
+    emailType,
+    typeLabel: emailType.replace(/_/g, ' '),
+    wordCount: text.split(/\s+/).filter(w => w.length > 0).length,
+    ideal: types[emailType] || types.customer_reply
+  };
+}
+
+/**
+ * Add the rewrite button to one compose body
+ * @param {Element} textBox - The compose body (contenteditable)
+ * @param {Object} options
+ * @param {Function} options.getEmailType - (text) => detectEmailType category for this compose window
+ * @param {Function} options.beforeApply - Called right before the rewrite replaces the text
+ * @param {Function} options.onApply - ({ action, label, emailType, before, after }) once it has
+ * @returns {Object} { destroy() }
+ */
+function attachRewriteToolbar(textBox, { getEmailType, beforeApply, onApply }) {
+  const toolbar = document.createElement('div');
+  toolbar.className = 'friday-rewrite-toolbar';
+  toolbar.innerHTML = `
+    <div class="friday-rewrite-popover" hidden></div>
+    <div class="friday-rewrite-menu" hidden>
+      ${Object.keys(REWRITE_ACTIONS).map(action => `<button class="friday-rewrite-action" data-action="${action}"></button>`).join('')}
+    </div>
+    <button class="friday-rewrite-toggle" title="Rewrite this email with the model">✨ Rewrite</button>
+  `;
+  document.body.appendChild(toolbar);
+
+  const menu = toolbar.querySelector('.friday-rewrite-menu');
+  const popover = toolbar.querySelector('.friday-rewrite-popover');
+
+  // The rewrite waiting for "Replace": { action, label, emailType, before, after }
+  let pending = null;
+  // Bumped per request so a slow answer can't land after the user moved on
+  let rewriteToken = 0;
+  let frame = null;
+
+  const scrollParent = window.findScrollParent(textBox);
+  const resizeObserver = new ResizeObserver(schedulePosition);
+  resizeObserver.observe(textBox);
+  window.addEventListener('scroll', schedulePosition, true);
+  window.addEventListener('resize', schedulePosition);
+
+  // Keep the caret and focus in the compose body while using the toolbar
+  toolbar.addEventListener('mousedown', event => event.preventDefault());
+  toolbar.addEventListener('click', handleToolbarClick);
+
+  function schedulePosition() {
+    if (frame === null) frame = requestAnimationFrame(position);
+  }
+
+  // Pinned to the bottom-right corner of the visible part of the compose body; menus open upwards
+  function position() {
+    frame = null;
+    const bounds = (scrollParent || textBox).getBoundingClientRect();
+    if (!textBox.isConnected || bounds.width === 0 || bounds.height === 0) {
+      toolbar.style.display = 'none';
+      return;
+    }
+    toolbar.style.display = '';
+    toolbar.style.right = `${Math.max(0, window.innerWidth - bounds.right + 8)}px`;
+    toolbar.style.bottom = `${Math.max(0, window.innerHeight - bounds.bottom + 8)}px`;
+  }
+
+  function handleToolbarClick(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    if (button.classList.contains('friday-rewrite-toggle')) {
+      if (menu.hidden) openMenu();
+      else menu.hidden = true;
+    } else if (button.classList.contains('friday-rewrite-action')) {
+      runRewrite(button.dataset.action);
+    } else if (button.classList.contains('friday-rewrite-apply')) {
+      applyRewrite();
+    } else if (button.classList.contains('friday-rewrite-cancel')) {
+      closePopover();
+    }
+  }
+
+  // Labels depend on the current email type and length, so fill them in on every open
+  function openMenu() {
+    closePopover();
+    const text = window.buildComposeTextMap(textBox).text.trim();
+    const context = getRewriteContext(text, getEmailType(text));
+
+    menu.querySelectorAll('.friday-rewrite-action').forEach(button => {
+      const action = REWRITE_ACTIONS[button.dataset.action];
+      const available = Boolean(text) && (!action.isAvailable || action.isAvailable(context));
+      button.textContent = action.label(context);
+      button.disabled = !available;
+      button.title = available ? '' : text ? `Already within the ideal length for a ${context.typeLabel}` : 'Nothing to rewrite yet';
+    });
+    menu.hidden = false;
+  }
+
+  async function runRewrite(action) {
+    const before = window.buildComposeTextMap(textBox).text.trim();
+    const emailType = getEmailType(before);
+    const label = REWRITE_ACTIONS[action].label(getRewriteContext(before, emailType));
+    const token = ++rewriteToken;
+    menu.hidden = true;
+    pending = null;
+    showPopover('<div class="friday-rewrite-status">✨ Rewriting…</div>');
+
+    try {
+      const { text: after, restored } = await requestDraftRewrite(action, before, emailType);
+      if (token !== rewriteToken) return;
+      pending = { action, label, emailType, before, after };
+      showPopover(renderRewritePreview(label, before, after, restored));
+    } catch (error) {
+      if (token !== rewriteToken) return;
+      console.error('[Friday Edit Analyzer] Rewrite failed:', error);
+      showPopover(`
+        <div class="friday-rewrite-status">${window.escapePanelText(describeRewriteError(error))}</div>
+        <div class="friday-rewrite-buttons"><button class="friday-rewrite-cancel">Close</button></div>
+      `);
+    }
+  }
+
+  // Swap the body (not the quote or signature) for the rewrite - unless the user edited it meanwhile
+  function applyRewrite() {
+    if (!pending) return;
+    const rewrite = pending;
+
+    const textMap = window.buildComposeTextMap(textBox);
+    const start = textMap.text.length - textMap.text.trimStart().length;
+    const range = textMap.text.slice(start, start + rewrite.before.length) === rewrite.before
+      ? window.createRangeFromTextMap(textMap, start, start + rewrite.before.length)
+      : null;
+    if (!range) {
+      pending = null;
+      showPopover(`
+        <div class="friday-rewrite-status">The email changed while the rewrite was being written - try again.</div>
+        <div class="friday-rewrite-buttons"><button class="friday-rewrite-cancel">Close</button></div>
+      `);
+      return;
+    }
+
+    beforeApply();
+    // insertText goes through Gmail's own input handling and keeps Ctrl+Z working
+    textBox.focus();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    document.execCommand('insertText', false, rewrite.after);
+
+    closePopover();
+    onApply(rewrite);
+  }
+
+  function showPopover(markup) {
+    popover.innerHTML = markup;
+    popover.hidden = false;
+  }
+
+  function closePopover() {
+    rewriteToken++;
+    pending = null;
+    popover.hidden = true;
+    popover.innerHTML = '';
+  }
+
+  function destroy() {
+    rewriteToken++;
+    if (frame !== null) cancelAnimationFrame(frame);
+    resizeObserver.disconnect();
+    window.removeEventListener('scroll', schedulePosition, true);
+    window.removeEventListener('resize', schedulePosition);
+    toolbar.remove();
+  }
+
+  position();
+  return { destroy };
+}
+
+function renderRewritePreview(label, before, after, restored) {
+  const countWords = text => text.split(/\s+/).filter(w => w.length > 0).length;
+  const diff = window.diffWords(before, after).map(segment => {
+    if (segment.type === 'insert') return `<ins>${window.escapePanelText(segment.text)}</ins>`;
+    if (segment.type === 'delete') return `<del>${window.escapePanelText(segment.text)}</del>`;
+    return window.escapePanelText(segment.text);
+  }).join('');
+
+  return `
+    <div class="friday-rewrite-heading">${window.escapePanelText(label)} · ${countWords(before)} → ${countWords(after)} words</div>
+    <div class="friday-rewrite-diff">${diff}</div>
+    ${restored ? '' : `<div class="friday-rewrite-warning">
+      The rewrite moved or changed the hidden details, so placeholders like [NAME] were left in - fill them in after replacing.
+    </div>`}
+    <div class="friday-rewrite-buttons">
+      <button class="friday-rewrite-apply">Replace</button>
+      <button class="friday-rewrite-cancel">Cancel</button>
+    </div>
+  `;
+}
+
+function describeRewriteError(error) {
+  if (error instanceof window.LLMUnavailableError) {
+    return error.reason === 'no_api_key'
+      ? 'Rewrites need the model - add an API key in Options.'
+      : 'Rewrites need a model provider - heuristic mode makes no model calls (change it in Options).';
+  }
+  return `Rewrite failed: ${error.message}`;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.requestDraftRewrite = requestDraftRewrite;
+  window.attachRewriteToolbar = attachRewriteToolbar;
+}
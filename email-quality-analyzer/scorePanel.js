@@ -0,0 +1,220 @@
+/**
+ * Score Panel - Floating "Score this draft" panel shown next to Gmail compose windows
+ * Runs the analyzeEmail pipeline on whichever compose window the user is working in
+ */
+
+// There's only ever one panel on the page; it follows the active compose window
+let scorePanelElement = null;
+let scorePanelTarget = null;
+
+// Compose window whose panel the user closed - don't pop it back up every time they click in it
+let scorePanelDismissedFor = null;
+
+/**
+ * Point the panel at a compose window and make sure it's visible
+ * @param {Element} textBox - The compose body (contenteditable)
+ * @param {Element} composeRoot - Container holding the textbox, subject and recipients
+ */
+function showScorePanel(textBox, composeRoot) {
+  if (scorePanelDismissedFor === textBox) return;
+
+  if (!scorePanelElement) {
+    scorePanelElement = createScorePanel();
+    document.body.appendChild(scorePanelElement);
+  }
+
+  // Switching to a different compose window invalidates the last score
+  if (!scorePanelTarget || scorePanelTarget.textBox !== textBox) {
+    scorePanelElement.querySelector('.friday-results').innerHTML = '';
+  }
+
+  scorePanelTarget = { textBox, composeRoot };
+  scorePanelElement.style.display = '';
+}
+
+/**
+ * Hide the panel when the compose window it was scoring goes away
+ */
+function hideScorePanel(textBox) {
+  if (!scorePanelElement || !scorePanelTarget || scorePanelTarget.textBox !== textBox) return;
+
+  scorePanelTarget = null;
+  scorePanelElement.style.display = 'none';
+  scorePanelElement.querySelector('.friday-results').innerHTML = '';
+}
+
+function createScorePanel() {
+  const panel = document.createElement('div');
+  panel.className = 'friday-analyzer-panel';
+  panel.innerHTML = `
+    <div class="friday-analyzer-header">
+      <h3>📊 Email Quality Score</h3>
+      <button class="friday-panel-close" title="Close">×</button>
+    </div>
+    <button class="friday-analyze-btn">Score this draft</button>
+    <div class="friday-results"></div>
+  `;
+
+  panel.querySelector('.friday-analyze-btn').addEventListener('click', scoreCurrentDraft);
+  panel.querySelector('.friday-panel-close').addEventListener('click', () => {
+    scorePanelDismissedFor = scorePanelTarget ? scorePanelTarget.textBox : null;
+    panel.style.display = 'none';
+  });
+  makePanelDraggable(panel, panel.querySelector('.friday-analyzer-header'));
+
+  return panel;
+}
+
+/**
+ * Score the active compose window's text and render the results
+ */
+async function scoreCurrentDraft() {
+  if (!scorePanelTarget) return;
+
+  const { textBox, composeRoot } = scorePanelTarget;
+  const button = scorePanelElement.querySelector('.friday-analyze-btn');
+  const resultsContainer = scorePanelElement.querySelector('.friday-results');
+
+  const emailText = textBox.innerText || textBox.textContent || '';
+  const context = window.getComposeContext(composeRoot);
+
+  // Email type comes from the subject line, recipient type from the To field
+  const emailType = window.detectEmailType(context.subject, emailText);
+  const recipientType = window.detectRecipientType(context.to.join(' '), emailText);
+
+  button.disabled = true;
+  resultsContainer.innerHTML = `
+    <div class="friday-loading">
+      <div class="friday-spinner"></div>
+      <p>Scoring your draft...</p>
+    </div>
+  `;
+
+  const results = await window.analyzeEmail(emailText, emailType, recipientType);
+
+  button.disabled = false;
+
+  // The user may have switched compose windows while we were waiting
+  if (!scorePanelTarget || scorePanelTarget.textBox !== textBox) return;
+
+  resultsContainer.innerHTML = results.error
+    ? `<div class="friday-error"><p>${escapePanelText(results.message)}</p></div>`
+    : renderScoreResults(results);
+}
+
+function renderScoreResults(results) {
+  const metrics = [
+    { name: 'Tone', key: 'tone', detail: results.breakdown.tone.currentTone },
+    { name: 'Clarity', key: 'clarity', detail: '' },
+    { name: 'Call-to-Action', key: 'cta', detail: results.breakdown.cta.ctaType },
+    { name: 'Length', key: 'length', detail: `${results.breakdown.length.wordCount} words` }
+  ];
+
+  const overallColor = window.getScoreColor(results.overallScore);
+
+  return `
+    <div class="friday-results-content">
+      <div class="friday-score-circle" style="border-color: ${overallColor};">
+        <div class="friday-score-value" style="color: ${overallColor};">${results.overallScore}</div>
+        <div class="friday-score-label">${window.getScoreLabel(results.overallScore)}</div>
+      </div>
+      <div class="friday-score-context">
+        ${formatPanelLabel(results.metadata.emailType)} · ${formatPanelLabel(results.metadata.recipientType)} recipient
+      </div>
+
+      <div class="friday-breakdown">
+        <h4>Breakdown</h4>
+        ${metrics.map(metric => {
+          const score = results.breakdown[metric.key].score;
+          return `
+            <div class="friday-metric">
+              <span class="friday-metric-name">
+                ${metric.name}
+                ${metric.detail ? `<span class="friday-metric-detail">${escapePanelText(metric.detail)}</span>` : ''}
+              </span>
+              <span class="friday-metric-score" style="color: ${window.getScoreColor(score)};">${score}/10</span>
+            </div>
+          `;
+        }).join('')}
+      </div>
+
+      ${results.strengths.length > 0 ? `
+        <div class="friday-strengths">
+          <h4>Strengths</h4>
+          <ul>
+            ${results.strengths.map(s => `<li>${s.metric} (${s.score}/10)</li>`).join('')}
+          </ul>
+        </div>
+      ` : ''}
+
+      ${results.issues.length > 0 ? `
+        <div class="friday-issues">
+          <h4>Issues</h4>
+          <ul>
+            ${results.issues.map(issue => `
+              <li><span class="friday-issue-badge">${issue.category}</span>${escapePanelText(issue.text)}</li>
+            `).join('')}
+          </ul>
+        </div>
+      ` : ''}
+
+      ${results.topSuggestions.length > 0 ? `
+        <div class="friday-suggestions">
+          <h4>Top Suggestions</h4>
+          <ol>
+            ${results.topSuggestions.map(s => `
+              <li><strong>${s.category}:</strong> ${escapePanelText(s.text)}</li>
+            `).join('')}
+          </ol>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Let the user drag the panel out of the way by its header
+ */
+function makePanelDraggable(panel, handle) {
+  handle.addEventListener('mousedown', (event) => {
+    if (event.target.closest('button')) return;
+
+    const rect = panel.getBoundingClientRect();
+    const offsetX = event.clientX - rect.left;
+    const offsetY = event.clientY - rect.top;
+
+    const onMove = (moveEvent) => {
+      panel.style.left = `${moveEvent.clientX - offsetX}px`;
+      panel.style.top = `${moveEvent.clientY - offsetY}px`;
+      panel.style.right = 'auto';
+    };
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+    };
+
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+    event.preventDefault();
+  });
+}
+
+// "customer_reply" -> "Customer reply"
+function formatPanelLabel(value) {
+  const text = (value || '').replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Model output and email text go into innerHTML, so escape it
+function escapePanelText(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.showScorePanel = showScorePanel;
+  window.hideScorePanel = hideScorePanel;
+  window.escapePanelText = escapePanelText;
+}
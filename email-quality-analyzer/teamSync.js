@@ -0,0 +1,217 @@
+/**
+ * Team Sync - Optional upload of finished drafts to a self-hosted collector
+ * Uploads run in the background worker; the options page loads this file for the settings helpers.
+ * Sent/abandoned drafts are queued in the draft store's sync outbox, so nothing is lost while
+ * offline or while the worker is asleep, and POSTed in batches. A failed upload leaves its
+ * batch queued and backs off exponentially before the next try. What leaves the browser is
+ * up to the user: metrics only, text with PII masked, or the full record.
+ */
+
+const TEAM_SYNC_SETTINGS_KEY = 'team_sync';
+const TEAM_SYNC_STATE_KEY = 'team_sync_state';   // chrome.storage.local: { failures, nextAttemptAt, lastSuccessAt, lastError }
+const TEAM_SYNC_ALARM = 'team-sync';
+
+// Collector payload - each draft is a normal export record, so collected files import straight back in
+const SYNC_FORMAT_NAME = 'friday-draft-sync';
+const SYNC_FORMAT_VERSION = 1;
+
+const SYNC_INCLUDE_MODES = ['metrics', 'masked', 'full'];
+
+// One flush at a time; alarm, "Send now" and a full outbox can all ask at once
+let syncFlushPromise = null;
+
+/**
+ * The user's sync settings over the CONFIG defaults
+ * @returns {Promise<Object>}
+ */
+function getTeamSyncSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get([TEAM_SYNC_SETTINGS_KEY], (result) => {
+      resolve({ ...self.EMAIL_ANALYZER_CONFIG.TEAM_SYNC, ...(result[TEAM_SYNC_SETTINGS_KEY] || {}) });
+    });
+  });
+}
+
+function saveTeamSyncSettings(settings) {
+  return new Promise((resolve) => {
+    chrome.storage.sync.set({ [TEAM_SYNC_SETTINGS_KEY]: settings }, resolve);
+  });
+}
+
+function getTeamSyncState() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([TEAM_SYNC_STATE_KEY], (result) => {
+      resolve(result[TEAM_SYNC_STATE_KEY] || { failures: 0, nextAttemptAt: null, lastSuccessAt: null, lastError: null });
+    });
+  });
+}
+
+async function updateTeamSyncState(changes) {
+  const state = { ...(await getTeamSyncState()), ...changes };
+  await new Promise(resolve => chrome.storage.local.set({ [TEAM_SYNC_STATE_KEY]: state }, resolve));
+  return state;
+}
+
+/**
+ * Queue a draft that just reached a final status. Never throws - sync problems mustn't
+ * break the draft store write that triggered them.
+ */
+async function queueDraftForSync(id) {
+  try {
+    const settings = await getTeamSyncSettings();
+    if (!settings.enabled || !settings.endpoint) return;
+
+    await queueSyncIds([id]);
+    if (await countSyncOutbox() >= settings.batchSize) await flushSyncOutbox();
+  } catch (error) {
+    console.error('[Friday Background] Could not queue draft for team sync:', error);
+  }
+}
+
+/**
+ * Queue every finished draft of the user's own (imported teammates' drafts are skipped),
+ * for when sync is switched on after drafts already exist
+ * @returns {Promise<number>} How many drafts were queued
+ */
+async function queueExistingDraftsForSync() {
+  const ids = [];
+  await forEachDraft(draft => {
+    if (TERMINAL_STATUSES.includes(draft.status) && !draft.sourceUser) ids.push(draft.id);
+  });
+  if (ids.length) await queueSyncIds(ids);
+  return ids.length;
+}
+
+/**
+ * Send everything queued, one batch at a time
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Ignore the retry backoff ("Send now")
+ * @returns {Promise<Object>} { sent, pending, error? }
+ */
+function flushSyncOutbox({ force = false } = {}) {
+  if (!syncFlushPromise) {
+    syncFlushPromise = runSyncFlush(force).finally(() => {
+      syncFlushPromise = null;
+    });
+  }
+  return syncFlushPromise;
+}
+
+async function runSyncFlush(force) {
+  const settings = await getTeamSyncSettings();
+  if (!settings.enabled || !settings.endpoint) return { sent: 0, pending: await countSyncOutbox() };
+
+  const state = await getTeamSyncState();
+  if (!force && state.nextAttemptAt && Date.now() < state.nextAttemptAt) {
+    return { sent: 0, pending: await countSyncOutbox() };
+  }
+  // The alarm will try again - no point waiting out a timeout per batch
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return { sent: 0, pending: await countSyncOutbox(), error: 'Offline' };
+  }
+
+  const redactionSettings = await getRedactionSettings();
+  let sent = 0;
+
+  for (;;) {
+    const ids = await listSyncOutbox(settings.batchSize);
+    if (ids.length === 0) break;
+
+    // Drafts deleted since they were queued just drop out of the batch
+    const records = (await getDrafts(ids)).map(draft => prepareSyncRecord(draft, settings, redactionSettings));
+    try {
+      if (records.length) await postSyncBatch(settings, records);
+    } catch (error) {
+      const failures = state.failures + 1;
+      const delay = Math.min(settings.retryMaxMs, settings.retryBaseMs * 2 ** (failures - 1));
+      await updateTeamSyncState({ failures, nextAttemptAt: Date.now() + delay, lastError: error.message });
+      console.warn(`[Friday Background] Team sync failed (attempt ${failures}), retrying in ${Math.round(delay / 60000)} min:`, error.message);
+      return { sent, pending: await countSyncOutbox(), error: error.message };
+    }
+
+    await removeFromSyncOutbox(ids);
+    sent += records.length;
+  }
+
+  await updateTeamSyncState({ failures: 0, nextAttemptAt: null, lastSuccessAt: Date.now(), lastError: null });
+  if (sent) console.log(`[Friday Background] Team sync sent ${sent} drafts`);
+  return { sent, pending: 0 };
+}
+
+/**
+ * Shape one record for upload according to the "include" setting
+ */
+function prepareSyncRecord(draft, settings, redactionSettings) {
+  const mode = SYNC_INCLUDE_MODES.includes(settings.include) ? settings.include : 'metrics';
+  let record;
+
+  if (mode === 'metrics' || draft.bodiesRedacted) {
+    record = stripDraftBodies(draft);
+  } else if (mode === 'masked' && !draft.textRedacted) {
+    // Revisions are patches against the unmasked text, so they can't be masked - leave them out
+    const { revisions, ...rest } = draft;
+    record = {
+      ...rest,
+      originalText: redactPII(draft.originalText, redactionSettings),
+      finalText: redactPII(draft.finalText, redactionSettings),
+      subject: redactPII(draft.subject, redactionSettings),
+      textRedacted: true
+    };
+  } else {
+    record = { ...draft };
+  }
+
+  if (settings.userLabel) record.sourceUser = settings.userLabel;
+  return record;
+}
+
+async function postSyncBatch(settings, drafts) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.token) headers.Authorization = `Bearer ${settings.token}`;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.requestTimeoutMs);
+  try {
+    const response = await fetch(settings.endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        format: SYNC_FORMAT_NAME,
+        version: SYNC_FORMAT_VERSION,
+        sentAt: new Date().toISOString(),
+        sourceUser: settings.userLabel || null,
+        drafts
+      }),
+      signal: controller.signal
+    });
+    if (!response.ok) throw new Error(`Collector responded with HTTP ${response.status}`);
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error(`Collector did not answer within ${settings.requestTimeoutMs / 1000}s`);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Outbox size plus the last result, for the options page
+ */
+async function getTeamSyncStatus() {
+  return { pending: await countSyncOutbox(), ...(await getTeamSyncState()) };
+}
+
+// Alarms survive browser restarts, so only create it when it's missing (or the interval changed)
+function scheduleTeamSync() {
+  const periodInMinutes = self.EMAIL_ANALYZER_CONFIG.TEAM_SYNC.flushIntervalMinutes;
+  chrome.alarms.get(TEAM_SYNC_ALARM, (alarm) => {
+    if (alarm && alarm.periodInMinutes === periodInMinutes) return;
+    chrome.alarms.create(TEAM_SYNC_ALARM, { delayInMinutes: 1, periodInMinutes });
+  });
+}
+
+// Coming back online is the best moment to retry - skip whatever backoff is left (worker only)
+if (typeof window === 'undefined') {
+  self.addEventListener('online', () => {
+    flushSyncOutbox({ force: true }).catch(error => console.error('[Friday Background] Team sync failed:', error));
+  });
+}
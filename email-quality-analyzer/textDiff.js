@@ -0,0 +1,455 @@
+/**
+ * Text Diff - Word- and sentence-level diff between a Friday draft and the user's version
+ * Myers O(ND) diff over tokens, plus sentence alignment that spots rewritten and moved sentences,
+ * and linear-memory edit percentages used by the edit tracker.
+ * Pure logic - no DOM, no external API calls.
+ */
+
+/**
+ * Myers diff between two sequences
+ * @param {Array} a - Original sequence
+ * @param {Array} b - New sequence
+ * @param {Function} [equals] - Item comparison, defaults to ===
+ * @returns {Array<Object>} Ops in order: { type: 'equal'|'delete'|'insert', aIndex, bIndex }
+ */
+function diffSequences(a, b, equals = (x, y) => x === y) {
+  // Shared prefix/suffix are free - trimming them keeps D (and the trace) small
+  let start = 0;
+  while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', aIndex: i, bIndex: i });
+  }
+
+  myersDiff(a.slice(start, endA), b.slice(start, endB), equals).forEach(op => {
+    ops.push({
+      type: op.type,
+      aIndex: op.aIndex === undefined ? undefined : op.aIndex + start,
+      bIndex: op.bIndex === undefined ? undefined : op.bIndex + start
+    });
+  });
+
+  for (let i = 0; i < a.length - endA; i++) {
+    ops.push({ type: 'equal', aIndex: endA + i, bIndex: endB + i });
+  }
+
+  return ops;
+}
+
+function myersDiff(a, b, equals) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max;
+  const v = new Int32Array(2 * max + 2);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only diagonals -d..d are reachable at this step, so that's all we need to keep
+    trace.push(v.slice(offset - d, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && equals(a[x], b[y])) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrackMyers(trace, n, m);
+      }
+    }
+  }
+
+  return [];
+}
+
+function backtrackMyers(trace, n, m) {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    // trace[d] holds diagonals -d..d+1, shifted so index 0 is diagonal -d
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d];
+    const k = x - y;
+
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', aIndex: x - 1, bIndex: y - 1 });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', bIndex: y - 1 });
+      } else {
+        ops.push({ type: 'delete', aIndex: x - 1 });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Number of inserts + deletes Myers needs to turn a into b, without building the edit script.
+ * Memory is linear in the input (one diagonal array), unlike a full Levenshtein matrix.
+ * @param {Array|string} a
+ * @param {Array|string} b
+ * @param {Function} [equals] - Item comparison, defaults to ===
+ * @returns {number}
+ */
+function countEditOperations(a, b, equals = (x, y) => x === y) {
+  let start = 0;
+  while (start < a.length && start < b.length && equals(a[start], b[start])) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && equals(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 || m === 0) return n + m;
+
+  const max = n + m;
+  const offset = max;
+  const v = new Int32Array(2 * max + 2);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && equals(a[start + x], b[start + y])) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) return d;
+    }
+  }
+
+  return max;
+}
+
+/**
+ * Share of the longer sequence that isn't part of the longest common subsequence.
+ * Matches Levenshtein-over-max-length for pure insertions, deletions and same-length rewrites.
+ */
+function calculateSequenceEditPercentage(a, b, equals) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 0;
+
+  const distance = countEditOperations(a, b, equals);
+  const common = (a.length + b.length - distance) / 2;
+  return Math.round((1 - common / longest) * 100);
+}
+
+/**
+ * Character, word and sentence edit percentages between two versions of a draft
+ * @returns {Object} { editPercentage, wordEditPercentage, sentenceEditPercentage }
+ */
+function measureEditPercentages(originalText, finalText) {
+  const words = (text) => text.split(/\s+/).filter(word => word.length > 0);
+  const sentences = (text) => splitSentences(text).map(normalizeSentence).filter(Boolean);
+
+  return {
+    editPercentage: calculateSequenceEditPercentage(originalText, finalText),
+    wordEditPercentage: calculateSequenceEditPercentage(words(originalText), words(finalText)),
+    sentenceEditPercentage: calculateSequenceEditPercentage(sentences(originalText), sentences(finalText))
+  };
+}
+
+/**
+ * Words and the whitespace between them, so joining tokens gives back the exact text
+ */
+function tokenizeWords(text) {
+  return text.match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Sentences with their trailing whitespace; blank lines become their own "sentence"
+ */
+function splitSentences(text) {
+  return text.match(/[^.!?\n]+[.!?]*[ \t]*|[.!?]+[ \t]*|\n+/g) || [];
+}
+
+/**
+ * Word-level diff, with consecutive tokens of the same type merged into one segment
+ * @returns {Array<Object>} [{ type: 'equal'|'delete'|'insert', text }]
+ */
+function diffWords(originalText, finalText) {
+  const a = tokenizeWords(originalText);
+  const b = tokenizeWords(finalText);
+  const segments = [];
+
+  diffSequences(a, b).forEach(op => {
+    const text = op.type === 'insert' ? b[op.bIndex] : a[op.aIndex];
+    const last = segments[segments.length - 1];
+    if (last && last.type === op.type) {
+      last.text += text;
+    } else {
+      segments.push({ type: op.type, text });
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Align the two versions sentence by sentence
+ * Unchanged sentences stay "equal", sentences that moved are "moved-from"/"moved-to",
+ * similar sentences in the same spot are "rewritten" (with a word diff), the rest are
+ * plain "deleted"/"inserted".
+ * @returns {Array<Object>} Rows in reading order: { type, text, words? }
+ */
+function buildDraftDiff(originalText, finalText) {
+  const originalSentences = splitSentences(originalText);
+  const finalSentences = splitSentences(finalText);
+  const sentenceOps = diffSequences(originalSentences, finalSentences,
+    (x, y) => normalizeSentence(x) === normalizeSentence(y));
+
+  // Group each run of deletes/inserts between unchanged sentences into a hunk
+  const hunks = [];
+  let current = null;
+  sentenceOps.forEach(op => {
+    if (op.type === 'equal') {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = [];
+      hunks.push(current);
+    }
+    current.push(op);
+  });
+
+  const alignment = {
+    rewrites: new Map(),        // aIndex -> bIndex, same hunk
+    movedDeleted: new Set(),    // aIndex
+    movedInserted: new Map()    // bIndex -> aIndex
+  };
+
+  // Identical sentences first, then similar ones nearby, then similar ones that travelled
+  matchMovedSentences(sentenceOps, originalSentences, finalSentences, alignment, 1);
+  hunks.forEach(hunk => pairRewrittenSentences(hunk, originalSentences, finalSentences, alignment));
+  matchMovedSentences(sentenceOps, originalSentences, finalSentences, alignment, 0.5);
+
+  const rows = [];
+  let hunkIndex = 0;
+  sentenceOps.forEach((op, i) => {
+    if (op.type === 'equal') {
+      rows.push({ type: 'equal', text: finalSentences[op.bIndex] });
+    } else if (i === 0 || sentenceOps[i - 1].type === 'equal') {
+      rows.push(...emitHunkRows(hunks[hunkIndex++], originalSentences, finalSentences, alignment));
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Pair deleted sentences with inserted ones anywhere in the text
+ * @param {number} minSimilarity - 1 for word-for-word moves, lower to catch moved-and-reworded
+ */
+function matchMovedSentences(sentenceOps, originalSentences, finalSentences, alignment, minSimilarity) {
+  const isFree = (op) => op.type === 'delete'
+    ? !alignment.movedDeleted.has(op.aIndex) && !alignment.rewrites.has(op.aIndex)
+    : !alignment.movedInserted.has(op.bIndex) && !Array.from(alignment.rewrites.values()).includes(op.bIndex);
+
+  const inserts = sentenceOps.filter(op => op.type === 'insert' && isFree(op));
+
+  sentenceOps.filter(op => op.type === 'delete' && isFree(op)).forEach(del => {
+    let best = null;
+    let bestScore = 0;
+    inserts.forEach(ins => {
+      if (alignment.movedInserted.has(ins.bIndex)) return;
+      const score = sentenceSimilarity(originalSentences[del.aIndex], finalSentences[ins.bIndex]);
+      if (score > bestScore) {
+        bestScore = score;
+        best = ins;
+      }
+    });
+
+    if (best && bestScore >= minSimilarity) {
+      alignment.movedDeleted.add(del.aIndex);
+      alignment.movedInserted.set(best.bIndex, del.aIndex);
+    }
+  });
+}
+
+/**
+ * Within one hunk, a deleted sentence followed by a similar inserted one was rewritten in place.
+ * Pairs are made in order so rewrites never cross each other.
+ */
+function pairRewrittenSentences(hunk, originalSentences, finalSentences, alignment) {
+  const deletes = hunk.filter(op => op.type === 'delete' && !alignment.movedDeleted.has(op.aIndex));
+  const inserts = hunk.filter(op => op.type === 'insert' && !alignment.movedInserted.has(op.bIndex));
+
+  let searchFrom = 0;
+  deletes.forEach(del => {
+    let bestIndex = -1;
+    let bestScore = 0;
+    for (let i = searchFrom; i < inserts.length; i++) {
+      const score = sentenceSimilarity(originalSentences[del.aIndex], finalSentences[inserts[i].bIndex]);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = i;
+      }
+    }
+    if (bestIndex !== -1 && bestScore >= 0.3) {
+      alignment.rewrites.set(del.aIndex, inserts[bestIndex].bIndex);
+      searchFrom = bestIndex + 1;
+    }
+  });
+}
+
+/**
+ * Turn one hunk into rows, keeping the final text's reading order
+ */
+function emitHunkRows(hunk, originalSentences, finalSentences, alignment) {
+  const rows = [];
+  const inserts = hunk.filter(op => op.type === 'insert');
+  let insertPos = 0;
+
+  const emitInsert = (bIndex) => {
+    if (alignment.movedInserted.has(bIndex)) {
+      const fromText = originalSentences[alignment.movedInserted.get(bIndex)];
+      const toText = finalSentences[bIndex];
+      rows.push({
+        type: 'moved-to',
+        text: toText,
+        words: normalizeSentence(fromText) === normalizeSentence(toText) ? null : diffWords(fromText, toText)
+      });
+    } else {
+      rows.push({ type: 'inserted', text: finalSentences[bIndex] });
+    }
+  };
+
+  hunk.filter(op => op.type === 'delete').forEach(del => {
+    if (alignment.rewrites.has(del.aIndex)) {
+      const pairedB = alignment.rewrites.get(del.aIndex);
+      while (insertPos < inserts.length && inserts[insertPos].bIndex !== pairedB) {
+        emitInsert(inserts[insertPos++].bIndex);
+      }
+      insertPos++;
+      rows.push({
+        type: 'rewritten',
+        text: finalSentences[pairedB],
+        words: diffWords(originalSentences[del.aIndex], finalSentences[pairedB])
+      });
+    } else {
+      rows.push({
+        type: alignment.movedDeleted.has(del.aIndex) ? 'moved-from' : 'deleted',
+        text: originalSentences[del.aIndex]
+      });
+    }
+  });
+
+  while (insertPos < inserts.length) {
+    emitInsert(inserts[insertPos++].bIndex);
+  }
+
+  return rows;
+}
+
+// Shared words over all distinct words (Jaccard), case-insensitive
+function sentenceSimilarity(a, b) {
+  const wordsA = new Set(normalizeSentence(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeSentence(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function normalizeSentence(sentence) {
+  return sentence.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Smallest single splice that turns one text into the next (shared prefix/suffix trimmed).
+ * Edits between two debounces are almost always in one spot, so this stays tiny.
+ * @returns {Object} { offset, removed, inserted } - removed is a character count
+ */
+function createTextPatch(previousText, nextText) {
+  let start = 0;
+  while (start < previousText.length && start < nextText.length && previousText[start] === nextText[start]) start++;
+
+  let endPrev = previousText.length;
+  let endNext = nextText.length;
+  while (endPrev > start && endNext > start && previousText[endPrev - 1] === nextText[endNext - 1]) {
+    endPrev--;
+    endNext--;
+  }
+
+  return {
+    offset: start,
+    removed: endPrev - start,
+    inserted: nextText.slice(start, endNext)
+  };
+}
+
+function applyTextPatch(text, patch) {
+  return text.slice(0, patch.offset) + patch.inserted + text.slice(patch.offset + patch.removed);
+}
+
+/**
+ * Rebuild every version of a draft from its original text and revision log
+ * @param {string} originalText - Friday's draft (revision 0)
+ * @param {Array<Object>} revisions - Patches in order, each applied to the previous version
+ * @returns {Array<string>} originalText followed by the text after each revision
+ */
+function replayRevisions(originalText, revisions) {
+  const versions = [originalText];
+  (revisions || []).forEach(revision => {
+    versions.push(applyTextPatch(versions[versions.length - 1], revision));
+  });
+  return versions;
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.diffSequences = diffSequences;
+  window.countEditOperations = countEditOperations;
+  window.measureEditPercentages = measureEditPercentages;
+  window.diffWords = diffWords;
+  window.buildDraftDiff = buildDraftDiff;
+  window.tokenizeWords = tokenizeWords;
+  window.splitSentences = splitSentences;
+  window.createTextPatch = createTextPatch;
+  window.replayRevisions = replayRevisions;
+}
@@ -0,0 +1,147 @@
+/**
+ * Virtual List - Keeps only the rows near the viewport of a scrolling container in the DOM
+ * Rows that stay in view are left alone when the window moves, so an open diff or history
+ * view survives scrolling. Heights are measured as rows render; unseen rows use an estimate.
+ * Rows can arrive a page at a time: nearing the last one asks the owner for more.
+ */
+
+const VIRTUAL_LIST_OVERSCAN = 800;   // Pixels rendered past each edge of the viewport
+
+/**
+ * @param {HTMLElement} container - The scrolling element (needs a fixed or max height)
+ * @param {Object} options
+ * @param {number} options.estimatedHeight - Height assumed for rows that haven't rendered yet
+ * @param {Function} options.renderRows - (indices) => Promise<Array<string>> markup for each row
+ * @param {Function} [options.loadMore] - () => Promise<Object> { count, hasMore } after loading the next page
+ * @returns {Object} { reset(count, { keepScroll, hasMore }) } - call reset whenever the underlying list changes
+ */
+function createVirtualList(container, { estimatedHeight, renderRows, loadMore }) {
+  const topSpacer = document.createElement('div');
+  const rows = document.createElement('div');
+  const bottomSpacer = document.createElement('div');
+  container.replaceChildren(topSpacer, rows, bottomSpacer);
+
+  let heights = [];
+  let renderToken = 0;
+  let frame = null;
+  // Bumped by reset, so a page that was loading for the old list is dropped
+  let listToken = 0;
+  let hasMore = false;
+  let loading = false;
+
+  // Remember real heights (cards grow when a diff opens) and fill any gap they leave
+  const resizeObserver = new ResizeObserver(entries => {
+    entries.forEach(entry => {
+      if (entry.target.isConnected) heights[Number(entry.target.dataset.index)] = entry.target.offsetHeight;
+    });
+    scheduleUpdate();
+  });
+
+  container.addEventListener('scroll', scheduleUpdate, { passive: true });
+  window.addEventListener('resize', scheduleUpdate);
+
+  function scheduleUpdate() {
+    if (frame === null) frame = requestAnimationFrame(update);
+  }
+
+  // Work out which rows overlap the viewport (plus overscan) and show exactly those
+  function update() {
+    frame = null;
+    const viewTop = container.scrollTop - VIRTUAL_LIST_OVERSCAN;
+    const viewBottom = container.scrollTop + container.clientHeight + VIRTUAL_LIST_OVERSCAN;
+
+    let start = 0;
+    let offset = 0;
+    while (start < heights.length && offset + heights[start] < viewTop) {
+      offset += heights[start];
+      start++;
+    }
+    let end = start;
+    while (end < heights.length && offset < viewBottom) {
+      offset += heights[end];
+      end++;
+    }
+
+    showRange(start, end);
+    // The last loaded row is within the overscan - fetch the next page
+    if (hasMore && end === heights.length && offset < viewBottom) loadNextPage();
+  }
+
+  function loadNextPage() {
+    if (loading) return;
+    loading = true;
+    const token = listToken;
+    loadMore().then(page => {
+      if (token !== listToken) return;
+      loading = false;
+      hasMore = page.hasMore;
+      while (heights.length < page.count) heights.push(estimatedHeight);
+      scheduleUpdate();
+    });
+  }
+
+  async function showRange(start, end) {
+    const token = ++renderToken;
+    const present = new Set(Array.from(rows.children, row => Number(row.dataset.index)));
+    const missing = [];
+    for (let index = start; index < end; index++) {
+      if (!present.has(index)) missing.push(index);
+    }
+    if (missing.length === 0 && present.size === end - start) return;
+
+    const markup = missing.length ? await renderRows(missing) : [];
+    // The list was reset or scrolled again while rows were loading
+    if (token !== renderToken) return;
+
+    Array.from(rows.children).forEach(row => {
+      const index = Number(row.dataset.index);
+      if (index < start || index >= end) {
+        resizeObserver.unobserve(row);
+        row.remove();
+      }
+    });
+
+    missing.forEach((index, i) => {
+      const row = document.createElement('div');
+      row.className = 'virtual-row';
+      row.dataset.index = index;
+      row.innerHTML = markup[i];
+      const next = Array.from(rows.children).find(child => Number(child.dataset.index) > index);
+      rows.insertBefore(row, next || null);
+      resizeObserver.observe(row);
+    });
+
+    topSpacer.style.height = `${sumHeights(0, start)}px`;
+    bottomSpacer.style.height = `${sumHeights(end, heights.length)}px`;
+  }
+
+  function sumHeights(from, to) {
+    let total = 0;
+    for (let index = from; index < to; index++) total += heights[index];
+    return total;
+  }
+
+  // keepScroll leaves the scroll position alone (e.g. after deleting one row from the middle) and
+  // keeps the measured heights, so the content doesn't shrink under the viewport while rows reload
+  function reset(count, { keepScroll = false, hasMore: more = false } = {}) {
+    renderToken++;
+    listToken++;
+    loading = false;
+    hasMore = Boolean(loadMore) && more;
+    Array.from(rows.children).forEach(row => resizeObserver.unobserve(row));
+    rows.replaceChildren();
+    const previous = keepScroll ? heights : [];
+    heights = Array.from({ length: count }, (_, index) => previous[index] || estimatedHeight);
+    topSpacer.style.height = '0px';
+    bottomSpacer.style.height = `${sumHeights(0, count)}px`;
+    if (!keepScroll) container.scrollTop = 0;
+    scheduleUpdate();
+  }
+
+  return { reset };
+}
+
+// Make functions available globally
+if (typeof window !== 'undefined') {
+  window.createVirtualList = createVirtualList;
+}
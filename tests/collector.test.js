@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBatch } = require('../collector/server');
+
+function batch(overrides = {}) {
+  return JSON.stringify({ format: 'friday-draft-sync', version: 1, sourceUser: 'alex', drafts: [{ id: 'a' }], ...overrides });
+}
+
+test('accepts a sync batch', () => {
+  const parsed = parseBatch(batch());
+  assert.strictEqual(parsed.sourceUser, 'alex');
+  assert.deepStrictEqual(parsed.drafts, [{ id: 'a' }]);
+});
+
+test('rejects bodies that are not a sync batch', () => {
+  assert.throws(() => parseBatch('{ nope'), /^Error: Not valid JSON/);
+  assert.throws(() => parseBatch(batch({ format: 'friday-draft-export' })), /Expected a friday-draft-sync batch/);
+  assert.throws(() => parseBatch(batch({ drafts: 'a' })), /Expected a friday-draft-sync batch/);
+  assert.throws(() => parseBatch('null'), /Expected a friday-draft-sync batch/);
+});
+
+test('rejects drafts without a string id', () => {
+  assert.throws(() => parseBatch(batch({ drafts: [{ id: 'a' }, { id: 2 }] })), /Every draft needs a string id/);
+  assert.throws(() => parseBatch(batch({ drafts: [null] })), /Every draft needs a string id/);
+});
+
+test('rejects an empty batch instead of writing a blank line', () => {
+  assert.throws(() => parseBatch(batch({ drafts: [] })), /Batch has no drafts/);
+});
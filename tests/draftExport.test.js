@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const window = loadScripts(['config.js', 'draftStore.js', 'draftExport.js']);
+
+function draft(overrides = {}) {
+  return {
+    id: 'draft_1',
+    timestamp: 1700000000000,
+    status: 'sent',
+    subject: 'Intro',
+    originalText: 'Hi Sam,\nThanks!',
+    finalText: 'Hi Sam,\nThanks - "soon"',
+    editPercentage: 25,
+    ...overrides
+  };
+}
+
+// Header row and data rows as { column: raw cell text }, for drafts whose cells hold no commas or newlines
+function csvRows(content) {
+  const [header, ...rows] = content.replace(/\r\n$/, '').split('\r\n');
+  const columns = header.split(',');
+  return { columns, rows: rows.map(row => Object.fromEntries(row.split(',').map((cell, i) => [columns[i], cell]))) };
+}
+
+test('CSV uses CRLF rows and quotes cells with quotes, commas or line breaks', () => {
+  const { content, mimeType, extension } = window.exportDrafts([draft({ summary: 'Shorter, clearer' })], { format: 'csv' });
+
+  assert.strictEqual(mimeType, 'text/csv');
+  assert.strictEqual(extension, 'csv');
+  assert.ok(content.endsWith('\r\n'));
+  assert.ok(content.includes(',"Shorter, clearer",'));
+  assert.ok(content.includes(',"Hi Sam,\nThanks!",'));
+  assert.ok(content.endsWith(',"Hi Sam,\nThanks - ""soon"""\r\n'));
+});
+
+test('CSV cells that a spreadsheet would run as a formula are prefixed with a quote', () => {
+  const prefixes = ['=', '+', '-', '@', '\t', '\r'];
+  prefixes.forEach(prefix => {
+    const { content } = window.exportDrafts([draft({ toneChange: `${prefix}1+1` })], { format: 'csv', redactBodies: true });
+    const cell = content.split('\r\n')[1].split(',')[csvRows(content).columns.indexOf('tone_change')];
+    assert.ok(cell === `'${prefix}1+1` || cell === `"'${prefix}1+1"`, JSON.stringify(prefix));
+  });
+});
+
+test('numbers are written as they are, negative ones too', () => {
+  const { content } = window.exportDrafts([draft({ lengthChange: -12, editPercentage: -5, sendDelay: 61000 })], {
+    format: 'csv',
+    redactBodies: true
+  });
+  const [row] = csvRows(content).rows;
+
+  assert.strictEqual(row.length_change, '-12');
+  assert.strictEqual(row.edit_percentage, '-5');
+  assert.strictEqual(row.send_delay_seconds, '61');
+  assert.strictEqual(row.status, 'sent');
+});
+
+test('redactBodies drops the body columns from the CSV', () => {
+  const full = csvRows(window.exportDrafts([draft()], { format: 'csv', redactBodies: false }).content).columns;
+  const redacted = window.exportDrafts([draft()], { format: 'csv', redactBodies: true }).content;
+
+  assert.deepStrictEqual(full.slice(-3), ['subject', 'original_text', 'final_text']);
+  ['subject', 'original_text', 'final_text'].forEach(column => assert.strictEqual(csvRows(redacted).columns.includes(column), false));
+  assert.strictEqual(redacted.includes('Hi Sam'), false);
+});
+
+test('JSON export wraps the records in a versioned envelope', () => {
+  const filters = { status: 'sent' };
+  const { content, extension } = window.exportDrafts([draft()], { format: 'json', redactBodies: true, filters });
+  const parsed = JSON.parse(content);
+
+  assert.strictEqual(extension, 'json');
+  assert.strictEqual(parsed.format, 'friday-draft-export');
+  assert.strictEqual(parsed.version, 1);
+  assert.strictEqual(parsed.bodiesRedacted, true);
+  assert.deepStrictEqual(parsed.filters, filters);
+  assert.ok(!Number.isNaN(Date.parse(parsed.exportedAt)));
+  assert.strictEqual(parsed.drafts[0].id, 'draft_1');
+  assert.strictEqual('originalText' in parsed.drafts[0], false);
+  assert.strictEqual(parsed.drafts[0].bodiesRedacted, true);
+});
+
+test('NDJSON has one record per line and a trailing newline', () => {
+  const { content, mimeType } = window.exportDrafts([draft({ id: 'a' }), draft({ id: 'b' })], { format: 'ndjson' });
+  const lines = content.split('\n');
+
+  assert.strictEqual(mimeType, 'application/x-ndjson');
+  assert.strictEqual(lines.length, 3);
+  assert.strictEqual(lines[2], '');
+  assert.deepStrictEqual(lines.slice(0, 2).map(line => JSON.parse(line).id), ['a', 'b']);
+  assert.strictEqual(window.exportDrafts([], { format: 'ndjson' }).content, '');
+});
+
+test('unknown formats are an error', () => {
+  assert.throws(() => window.exportDrafts([draft()], { format: 'xml' }), /Unknown export format: xml/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const window = loadScripts(['draftImport.js']);
+
+function draft(overrides = {}) {
+  return {
+    id: 'draft_1700000000000_abc',
+    timestamp: 1700000000000,
+    status: 'sent',
+    originalText: 'Hi Sam, here is the draft.',
+    finalText: 'Hi Sam, here is the edited draft.',
+    editPercentage: 20,
+    toDomains: ['example.com'],
+    ...overrides
+  };
+}
+
+test('accepts our JSON export and tags the source user', () => {
+  const file = JSON.stringify({ format: 'friday-draft-export', version: 1, drafts: [draft()] });
+  const { drafts, errors } = window.parseDraftImport(file, 'alex');
+
+  assert.strictEqual(errors.length, 0);
+  assert.strictEqual(drafts.length, 1);
+  assert.strictEqual(drafts[0].sourceUser, 'alex');
+});
+
+test('keeps a source user the record already has', () => {
+  const { drafts } = window.parseDraftImport(JSON.stringify([draft({ sourceUser: 'sam' })]), 'alex');
+  assert.strictEqual(drafts[0].sourceUser, 'sam');
+});
+
+test('accepts NDJSON, one record per line', () => {
+  const file = [draft({ id: 'a' }), draft({ id: 'b' })].map(record => JSON.stringify(record)).join('\n');
+  const { drafts, errors } = window.parseDraftImport(file, 'alex');
+
+  assert.strictEqual(errors.length, 0);
+  assert.deepStrictEqual(Array.from(drafts, record => record.id), ['a', 'b']);
+});
+
+test('rejects files that are not JSON or have no records', () => {
+  assert.match(window.parseDraftImport('{ not json', 'alex').errors[0], /^Not valid JSON/);
+  assert.match(window.parseDraftImport('{"id":"a"}\n{"id":"b"}\nnope', 'alex').errors[0], /^Line 3 is not valid JSON/);
+  assert.deepStrictEqual(Array.from(window.parseDraftImport('[]', 'alex').errors), ['File contains no draft records']);
+  assert.deepStrictEqual(Array.from(window.parseDraftImport('{"drafts": 1}', 'alex').errors), ['JSON file has no "drafts" array']);
+});
+
+test('one bad record fails the whole import', () => {
+  const { drafts, errors } = window.parseDraftImport(JSON.stringify([draft(), draft({ id: 'x y', status: 'lost' })]), 'alex');
+
+  assert.strictEqual(drafts.length, 0);
+  assert.deepStrictEqual(Array.from(errors), [
+    'Record 2 (x y): "id" is missing or has unexpected characters',
+    'Record 2 (x y): "status" must be one of pending, editing, sent, abandoned'
+  ]);
+});
+
+test('checks field types, nested logs and quality scores, reporting at most five problems', () => {
+  const record = draft({
+    editPercentage: '20',
+    composeType: 'chat',
+    isReply: 'yes',
+    toDomains: 'example.com',
+    revisions: [{ timestamp: 1, offset: 0, removed: 0, inserted: 'x', source: 'robot' }],
+    finalQuality: { overallScore: 7, breakdown: { tone: { score: 7 } } }
+  });
+  const { errors } = window.parseDraftImport(JSON.stringify([record]), 'alex');
+
+  assert.strictEqual(errors.length, 6);
+  assert.match(errors[0], /"editPercentage" must be a number/);
+  assert.match(errors[1], /"isReply" must be true or false/);
+  assert.match(errors[2], /"toDomains" must be a list of strings/);
+  assert.match(errors[3], /"finalQuality" must have/);
+  assert.match(errors[4], /"composeType" must be one of compose, reply, forward/);
+  assert.strictEqual(errors[5], '...and 1 more');
+});
+
+test('redacted exports may leave out the email text', () => {
+  const record = draft({ bodiesRedacted: true });
+  delete record.originalText;
+  delete record.finalText;
+
+  assert.strictEqual(window.parseDraftImport(JSON.stringify([record]), 'alex').errors.length, 0);
+  delete record.bodiesRedacted;
+  assert.match(window.parseDraftImport(JSON.stringify([record]), 'alex').errors[0], /"originalText" must be a string/);
+});
+
+test('duplicate ids keep the copy that got further', () => {
+  const editing = draft({ status: 'editing', analyzedAt: '2024-01-02T00:00:00Z' });
+  const sent = draft({ status: 'sent', analyzedAt: '2024-01-01T00:00:00Z' });
+  const { drafts } = window.parseDraftImport(JSON.stringify([sent, editing]), 'alex');
+
+  assert.strictEqual(drafts.length, 1);
+  assert.strictEqual(drafts[0].status, 'sent');
+  assert.strictEqual(window.pickMoreCompleteDraft(editing, draft({ status: 'editing', analyzedAt: '2024-01-03T00:00:00Z' })).analyzedAt,
+    '2024-01-03T00:00:00Z');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const window = loadScripts(['config.js', 'textDiff.js', 'editRules.js']);
+const options = { ...window.EMAIL_ANALYZER_CONFIG.EDIT_RULES };
+
+const PAIRS = [
+  ['Hi Sam,\n\nHope this finds you well. We shipped the new dashboard. Let me know if you want a demo.\n\nBest,\nAlex',
+    'Hi Sam,\n\nWe shipped the new dashboard. Are you free Tuesday for a demo?\n\nBest,\nAlex'],
+  ['Hi Jo,\n\nHope this finds you well. The contract is attached. Let me know if you want a demo.\n\nThanks,\nAlex',
+    'Hi Jo,\n\nThe contract is attached. Are you free Tuesday for a demo?\n\nThanks,\nAlex'],
+  ['We will utilize the new API soon.', 'We will use the new API soon.'],
+  ['Please utilize the form.', 'Please use the form.']
+];
+
+function mineRules(pairs, overrides = {}) {
+  const accumulator = window.createEditRuleAccumulator(options);
+  pairs.forEach(([originalText, finalText], index) => {
+    window.addDraftToEditRules(accumulator, { id: `d${index}`, status: 'sent', originalText, finalText, ...overrides });
+  });
+  return window.finalizeEditRules(accumulator);
+}
+
+const plain = rules => Array.from(rules, ({ type, from, to, drafts }) => ({ type, from, to, drafts }));
+
+test('repeated removals and replacements become ranked rules', () => {
+  const { draftCount, rules } = mineRules(PAIRS);
+
+  assert.strictEqual(draftCount, 4);
+  assert.deepStrictEqual(plain(rules), [
+    { type: 'remove', from: 'Hope this finds you well', to: '', drafts: 2 },
+    { type: 'replace', from: 'Let me know if you want a demo', to: 'Are you free Tuesday for a demo?', drafts: 2 },
+    { type: 'replace', from: 'utilize', to: 'use', drafts: 2 }
+  ]);
+  assert.strictEqual(rules[0].share, 0.5);
+  assert.deepStrictEqual(Array.from(rules[2].draftIds), ['d2', 'd3']);
+});
+
+test('a change seen in a single draft is not a rule', () => {
+  assert.strictEqual(mineRules(PAIRS.slice(1, 3)).rules.length, 0);
+});
+
+test('only hand-edited sent drafts with both texts are mined', () => {
+  assert.strictEqual(mineRules(PAIRS, { status: 'abandoned' }).draftCount, 0);
+  assert.strictEqual(mineRules(PAIRS, { bodiesRedacted: true }).draftCount, 0);
+  assert.strictEqual(mineRules(PAIRS, { assistantRewrites: [{ action: 'cta', appliedAt: 1 }] }).draftCount, 0);
+});
+
+test('filler-word swaps and long rewrites are skipped', () => {
+  const longFrom = 'one two three four five six seven eight nine ten eleven twelve thirteen';
+  const { rules } = mineRules([
+    ['Send a copy today.', 'Send the copy today.'],
+    ['Send a file today.', 'Send the file today.'],
+    [`${longFrom}.`, 'Short.'],
+    [`${longFrom}.`, 'Short.']
+  ]);
+  assert.strictEqual(rules.length, 0);
+});
+
+test('rules read as plain instructions in the style guide', () => {
+  const { draftCount, rules } = mineRules(PAIRS);
+  const guide = JSON.parse(window.editRulesToStyleGuide(rules, draftCount));
+
+  assert.strictEqual(guide.format, 'friday-style-guide');
+  assert.strictEqual(guide.draftCount, 4);
+  assert.deepStrictEqual(guide.rules.map(rule => rule.instruction), [
+    'Don\'t write "Hope this finds you well"',
+    'Write "Are you free Tuesday for a demo?" instead of "Let me know if you want a demo"',
+    'Write "use" instead of "utilize"'
+  ]);
+  assert.strictEqual(window.describeEditRule({ type: 'add', from: '', to: 'Thanks for your time' }), 'Include "Thanks for your time"');
+});
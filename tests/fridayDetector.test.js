@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const window = loadScripts(['config.js', 'fridayDetector.js']);
+const { FRIDAY_DETECTION } = window.EMAIL_ANALYZER_CONFIG;
+
+const emptyTextBox = { querySelector: () => null };
+const longText = 'Hi Sam, '.padEnd(FRIDAY_DETECTION.minInsertChars + 20, 'x');
+
+function pasteEvent(types = [], html = '') {
+  return {
+    type: 'paste',
+    clipboardData: { types, getData: type => (type === 'text/html' ? html : '') }
+  };
+}
+
+test('a plain paste is detected but not captured', () => {
+  const state = window.createDetectionState();
+  window.noteInsertEvent(state, pasteEvent(['text/plain']));
+  const detection = window.evaluateFridayInsert(state, emptyTextBox, '', longText);
+
+  assert.strictEqual(detection.reason, 'unverified_paste');
+  assert.strictEqual(window.isConfidentDetection(detection), false);
+});
+
+test('a paste from Friday\'s clipboard clears minConfidence', () => {
+  const state = window.createDetectionState();
+  window.noteInsertEvent(state, pasteEvent(['text/plain', 'application/x-friday-draft']));
+  const detection = window.evaluateFridayInsert(state, emptyTextBox, '', longText);
+
+  assert.strictEqual(detection.reason, 'clipboard_marker');
+  assert.strictEqual(window.isConfidentDetection(detection), true);
+});
+
+test('only Friday\'s own signals clear minConfidence', () => {
+  const captured = Object.keys(FRIDAY_DETECTION.confidence)
+    .filter(reason => window.isConfidentDetection({ reason, confidence: FRIDAY_DETECTION.confidence[reason] }));
+  assert.deepStrictEqual(captured.sort(), ['clipboard_marker', 'handshake', 'marker']);
+});
+
+test('a bare programmatic insert (signature, quoted text, another extension) is ignored', () => {
+  const state = window.createDetectionState();
+  const detection = window.evaluateFridayInsert(state, emptyTextBox, '', longText);
+
+  assert.strictEqual(detection.reason, 'programmatic_insert');
+  assert.strictEqual(window.isConfidentDetection(detection), false);
+  assert.strictEqual(window.isConfidentDetection(null), false);
+});
+
+test('inserts shorter than minInsertChars are ignored until the burst adds up', () => {
+  const state = window.createDetectionState();
+  const half = longText.slice(0, Math.ceil(longText.length / 2));
+
+  assert.strictEqual(window.evaluateFridayInsert(state, emptyTextBox, '', half), null);
+  assert.strictEqual(window.evaluateFridayInsert(state, emptyTextBox, half, longText).reason, 'programmatic_insert');
+});
+
+test('typed text never counts', () => {
+  const state = window.createDetectionState();
+  window.noteKeyboardInput(state, { ctrlKey: false, metaKey: false, altKey: false });
+
+  assert.strictEqual(window.evaluateFridayInsert(state, emptyTextBox, '', longText), null);
+});
+
+test('the marker attribute wins with its generation id', () => {
+  const state = window.createDetectionState();
+  const marked = { querySelector: () => ({ getAttribute: () => 'gen-42' }) };
+  const detection = window.evaluateFridayInsert(state, marked, '', 'Hi');
+
+  assert.strictEqual(detection.reason, 'marker');
+  assert.strictEqual(detection.generationId, 'gen-42');
+  assert.strictEqual(detection.confidence, 1);
+});
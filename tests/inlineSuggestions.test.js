@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const window = loadScripts(['config.js', 'inlineSuggestions.js']);
+const { EMAIL_TYPES, INLINE_SUGGESTIONS } = window.EMAIL_ANALYZER_CONFIG;
+
+// Neutral sentences to push an email past its ideal length
+function padding(words) {
+  const sentence = 'The rollout covers every regional team this quarter.';
+  const perSentence = sentence.split(' ').length;
+  return Array.from({ length: Math.ceil(words / perSentence) }, () => sentence).join(' ');
+}
+
+test('a weak CTA is underlined and offered the email type\'s specific ask', () => {
+  const text = 'Hi Sam,\nThe deck is attached. Let me know if you have questions.';
+  const [suggestion, ...rest] = window.findInlineSuggestions(text, 'follow_up');
+
+  assert.strictEqual(rest.length, 0);
+  assert.strictEqual(suggestion.kind, 'weak_cta');
+  assert.strictEqual(suggestion.key, 'weak_cta:let me know');
+  assert.strictEqual(text.slice(suggestion.start, suggestion.end), 'Let me know');
+  assert.strictEqual(suggestion.rewrite.original, 'Let me know if you have questions.');
+  assert.strictEqual(text.slice(suggestion.rewrite.start, suggestion.rewrite.end), suggestion.rewrite.original);
+  assert.strictEqual(suggestion.rewrite.text, INLINE_SUGGESTIONS.ctaRewrites.follow_up);
+});
+
+test('unknown email types fall back to the customer reply ask', () => {
+  const [suggestion] = window.findInlineSuggestions('Feel free to reach out.', 'newsletter');
+  assert.strictEqual(suggestion.rewrite.text, INLINE_SUGGESTIONS.ctaRewrites.customer_reply);
+});
+
+test('no weak CTA suggestion when the email already has a strong one', () => {
+  const text = 'Let me know what you think. Are you free on Tuesday?';
+  assert.strictEqual(window.findInlineSuggestions(text, 'follow_up').length, 0);
+});
+
+test('past the ideal length, filler sentences are offered for removal with their trailing space', () => {
+  const text = `Hi Sam,\nHope you are doing well. ${padding(EMAIL_TYPES.follow_up.idealMax)} Are you free on Tuesday?`;
+  const suggestions = window.findInlineSuggestions(text, 'follow_up');
+
+  assert.strictEqual(suggestions.length, 1);
+  const [suggestion] = suggestions;
+  assert.strictEqual(suggestion.kind, 'over_length');
+  assert.strictEqual(text.slice(suggestion.start, suggestion.end), 'Hope you are doing well.');
+  assert.strictEqual(suggestion.rewrite.original, 'Hope you are doing well. ');
+  assert.strictEqual(suggestion.rewrite.text, '');
+  assert.match(suggestion.message, /^\d+ words over ideal for follow_up - this sentence can usually go$/);
+});
+
+test('without filler, the longest sentence is offered a tighter version', () => {
+  const longest = 'I think that we should really move the launch in order to give the regional teams more time.';
+  const text = `${padding(EMAIL_TYPES.follow_up.idealMax)} ${longest} Are you free on Tuesday?`;
+  const [suggestion] = window.findInlineSuggestions(text, 'follow_up');
+
+  assert.strictEqual(suggestion.kind, 'over_length');
+  assert.strictEqual(suggestion.rewrite.original, longest);
+  assert.strictEqual(suggestion.rewrite.text, 'We should move the launch to give the regional teams more time.');
+});
+
+test('nothing is flagged for length within the ideal range', () => {
+  const text = `Hope you are doing well. ${padding(20)} Are you free on Tuesday?`;
+  assert.strictEqual(window.findInlineSuggestions(text, 'customer_reply').length, 0);
+});
+
+test('suggestions come back in reading order', () => {
+  const text = `Hope you are doing well. ${padding(EMAIL_TYPES.follow_up.idealMax)} Let me know if that works.`;
+  const suggestions = Array.from(window.findInlineSuggestions(text, 'follow_up'));
+
+  assert.deepStrictEqual(suggestions.map(suggestion => suggestion.kind), ['over_length', 'weak_cta']);
+  assert.ok(suggestions[0].start < suggestions[1].start);
+});
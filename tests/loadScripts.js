@@ -0,0 +1,26 @@
+// Loads extension scripts the way Chrome does: classic scripts sharing one global (window)
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXTENSION_DIR = path.join(__dirname, '..', 'email-quality-analyzer');
+
+/**
+ * @param {string[]} files - Script names in email-quality-analyzer/, in manifest order
+ * @param {Object} globals - Extra globals (stubs for document, chrome...) set before the scripts run
+ * @returns {Object} The shared window object
+ */
+function loadScripts(files, globals = {}) {
+  const context = { console, ...globals };
+  context.window = context;
+  context.self = context;
+  vm.createContext(context);
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(EXTENSION_DIR, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  }
+  return context;
+}
+
+module.exports = { loadScripts };
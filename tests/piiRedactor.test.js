@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const window = loadScripts(['config.js', 'piiRedactor.js']);
+const settings = { ...window.EMAIL_ANALYZER_CONFIG.PII_REDACTION };
+
+const original = 'Hi Sam,\n\nCall me on +1 415 555 0134 or write to sam@example.com about the $4,500 quote.\n\nBest,\nAlex';
+
+test('masks each enabled category', () => {
+  assert.strictEqual(
+    window.redactPII(original, settings),
+    'Hi [NAME],\n\nCall me on [PHONE] or write to [EMAIL] about the [AMOUNT] quote.\n\nBest,\n[NAME]'
+  );
+});
+
+test('leaves disabled categories alone', () => {
+  const masked = window.redactPII(original, { ...settings, names: false, money: false });
+  assert.match(masked, /^Hi Sam,/);
+  assert.match(masked, /\$4,500/);
+  assert.match(masked, /\[PHONE\]/);
+});
+
+test('custom patterns mask as [REDACTED]', () => {
+  const masked = window.redactPII('Ticket ACME-1234 is open', { ...settings, customPatterns: ['ACME-\\d+'] });
+  assert.strictEqual(masked, 'Ticket [REDACTED] is open');
+});
+
+test('restores placeholders that kept their order', () => {
+  const rewrite = 'Dear [NAME],\n\nPlease call [PHONE] or email [EMAIL] regarding the [AMOUNT] quote.\n\nKind regards,\n[NAME]';
+  const result = window.restoreMaskedDetails(rewrite, original, settings);
+
+  assert.strictEqual(result.restored, true);
+  assert.strictEqual(
+    result.text,
+    'Dear Sam,\n\nPlease call +1 415 555 0134 or email sam@example.com regarding the $4,500 quote.\n\nKind regards,\nAlex'
+  );
+});
+
+test('leaves placeholders in when the rewrite reordered them', () => {
+  const rewrite = 'Dear [NAME],\n\nEmail [EMAIL] or call [PHONE] about the [AMOUNT] quote.\n\nRegards,\n[NAME]';
+  const result = window.restoreMaskedDetails(rewrite, original, settings);
+
+  assert.strictEqual(result.restored, false);
+  assert.strictEqual(result.text, rewrite);
+});
+
+test('leaves placeholders in when the rewrite dropped one', () => {
+  const rewrite = 'Dear [NAME],\n\nPlease call [PHONE] about the [AMOUNT] quote.\n\nRegards,\n[NAME]';
+  assert.strictEqual(window.restoreMaskedDetails(rewrite, original, settings).restored, false);
+});
+
+test('text without any masked details comes back untouched', () => {
+  const result = window.restoreMaskedDetails('Thanks for the update.', 'thanks for the update', settings);
+  assert.strictEqual(result.restored, true);
+  assert.strictEqual(result.text, 'Thanks for the update.');
+});
+
+test('URLs stop before trailing sentence punctuation', () => {
+  const urlsOnly = { ...settings, names: false };
+  assert.strictEqual(window.redactPII('see https://x.com. Price', urlsOnly), 'see [URL]. Price');
+  assert.strictEqual(window.redactPII('(www.x.com/a?b=1), then', urlsOnly), '([URL]), then');
+  assert.strictEqual(window.redactPII('Is it https://x.com/path/?', urlsOnly), 'Is it [URL]?');
+  assert.strictEqual(window.redactPII('https://x.com/a.b;c', urlsOnly), '[URL]');
+});
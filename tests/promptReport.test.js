@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const window = loadScripts(['config.js', 'draftInsights.js', 'promptReport.js']);
+const options = { ...window.EMAIL_ANALYZER_CONFIG.PROMPT_REPORT };
+
+let nextId = 0;
+function draft(overrides = {}) {
+  nextId++;
+  return {
+    id: `draft_${nextId}`,
+    status: 'sent',
+    emailType: 'investor_email',
+    toneChange: 'No significant change',
+    ctaChange: 'No significant change',
+    lengthChange: 'No significant change',
+    originalWordCount: 100,
+    finalWordCount: 100,
+    originalText: `Original ${nextId}`,
+    finalText: `Final ${nextId}`,
+    editPercentage: 30,
+    ...overrides
+  };
+}
+
+function buildReport(drafts) {
+  const accumulator = window.createPromptReportAccumulator(options);
+  drafts.forEach(record => window.addDraftToPromptReport(accumulator, record));
+  return window.finalizePromptReport(accumulator, Date.UTC(2024, 0, 15));
+}
+
+const shortened = (overrides = {}) => draft({ lengthChange: 'Shortened', finalWordCount: 60, ...overrides });
+const times = (count, make) => Array.from({ length: count }, () => make());
+
+test('only sent drafts the user edited by hand, with analysis labels, are counted', () => {
+  const report = buildReport([
+    draft(),
+    draft({ status: 'abandoned' }),
+    draft({ status: 'editing' }),
+    draft({ assistantRewrites: [{ action: 'formal', appliedAt: 1 }] }),
+    draft({ toneChange: undefined, ctaChange: undefined, lengthChange: undefined })
+  ]);
+  assert.strictEqual(report.draftCount, 1);
+});
+
+test('a pattern in enough of one email type becomes a recommendation', () => {
+  const report = buildReport([
+    ...times(5, shortened),
+    ...times(3, draft),
+    ...times(5, () => draft({ emailType: 'customer_reply' }))
+  ]);
+
+  assert.strictEqual(report.generatedAt, '2024-01-15T00:00:00.000Z');
+  assert.strictEqual(report.draftCount, 13);
+  assert.strictEqual(report.recommendations.length, 1);
+
+  const [recommendation] = report.recommendations;
+  assert.strictEqual(recommendation.emailType, 'investor_email');
+  assert.strictEqual(recommendation.label, 'Shortened');
+  assert.strictEqual(recommendation.finding, 'Shortened in 63% of investor emails, by 40% on average (5 of 8 sent)');
+  assert.strictEqual(recommendation.instruction,
+    'Keep investor emails shorter - aim for about 60 words and cut anything that doesn\'t support the ask.');
+});
+
+test('patterns below minDrafts or minShare are left out', () => {
+  assert.strictEqual(buildReport(times(options.minDrafts - 1, shortened)).recommendations.length, 0);
+  assert.strictEqual(buildReport([...times(5, shortened), ...times(10, draft)]).recommendations.length, 0);
+});
+
+test('a pattern spread across types is reported once for all emails', () => {
+  const report = buildReport([
+    ...times(3, () => shortened({ emailType: 'follow_up' })),
+    ...times(3, () => shortened({ emailType: 'cold_outreach' }))
+  ]);
+
+  assert.strictEqual(report.recommendations.length, 1);
+  assert.strictEqual(report.recommendations[0].emailType, 'all');
+  assert.match(report.recommendations[0].finding, /^Shortened in 100% of all emails/);
+});
+
+test('examples are the most recent pairs, newest first, and skip drafts without bodies', () => {
+  const drafts = times(5, shortened);
+  drafts.push(shortened({ bodiesRedacted: true, originalText: undefined, finalText: undefined }));
+  const [recommendation] = buildReport(drafts).recommendations;
+
+  assert.deepStrictEqual(Array.from(recommendation.examples, example => example.id), [drafts[4].id, drafts[3].id, drafts[2].id]);
+});
+
+test('the Markdown report quotes each example', () => {
+  const markdown = window.promptReportToMarkdown(buildReport(times(5, shortened)));
+
+  assert.match(markdown, /^# Friday prompt improvement report\n/);
+  assert.match(markdown, /## 1\. Shortened in 100% of investor emails/);
+  assert.match(markdown, /\*\*Friday wrote:\*\*\n\n> Original \d+\n/);
+  assert.match(window.promptReportToMarkdown(buildReport([])), /No consistent edit patterns yet\./);
+});
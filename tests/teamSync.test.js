@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const window = loadScripts(['config.js', 'piiRedactor.js', 'textDiff.js', 'draftStore.js', 'teamSync.js']);
+const redactionSettings = { ...window.EMAIL_ANALYZER_CONFIG.PII_REDACTION };
+const syncSettings = { ...window.EMAIL_ANALYZER_CONFIG.TEAM_SYNC, enabled: true, userLabel: 'alex' };
+
+function draft(overrides = {}) {
+  return {
+    id: 'draft_1',
+    status: 'sent',
+    subject: 'Intro from sam@example.com',
+    originalText: 'Hi Sam,\n\nCall me on +1 415 555 0134.\n\nBest,\nAlex',
+    finalText: 'Hi Sam,\n\nCall me on +1 415 555 0134 today.\n\nBest,\nAlex',
+    revisions: [{ timestamp: 1, offset: 40, removed: 0, inserted: ' today' }],
+    editPercentage: 12,
+    toDomains: ['example.com'],
+    ...overrides
+  };
+}
+
+function prepare(include, record = draft(), settings = {}) {
+  return window.prepareSyncRecord(record, { ...syncSettings, include, ...settings }, redactionSettings);
+}
+
+test('metrics mode sends no email text', () => {
+  const record = prepare('metrics');
+
+  for (const field of ['originalText', 'finalText', 'revisions', 'subject']) {
+    assert.strictEqual(field in record, false, field);
+  }
+  assert.strictEqual(record.bodiesRedacted, true);
+  assert.strictEqual(record.editPercentage, 12);
+  assert.deepStrictEqual(Array.from(record.toDomains), ['example.com']);
+});
+
+test('an unknown include mode falls back to metrics', () => {
+  assert.strictEqual('originalText' in prepare('everything'), false);
+});
+
+test('masked mode masks the text and subject and leaves out revisions', () => {
+  const record = prepare('masked');
+
+  assert.strictEqual(record.originalText, 'Hi [NAME],\n\nCall me on [PHONE].\n\nBest,\n[NAME]');
+  assert.strictEqual(record.finalText, 'Hi [NAME],\n\nCall me on [PHONE] today.\n\nBest,\n[NAME]');
+  assert.strictEqual(record.subject, 'Intro from [EMAIL]');
+  assert.strictEqual('revisions' in record, false);
+  assert.strictEqual(record.textRedacted, true);
+});
+
+test('masked mode sends already-masked drafts as they are', () => {
+  const stored = draft({ originalText: 'Hi [NAME],', finalText: 'Hi [NAME]!', textRedacted: true });
+  const record = prepare('masked', stored);
+
+  assert.strictEqual(record.finalText, 'Hi [NAME]!');
+  assert.strictEqual(record.revisions.length, 1);
+});
+
+test('full mode sends the whole record', () => {
+  const record = prepare('full');
+
+  assert.strictEqual(record.originalText, draft().originalText);
+  assert.strictEqual(record.revisions.length, 1);
+  assert.strictEqual(record.bodiesRedacted, undefined);
+});
+
+test('drafts whose bodies retention dropped stay body-less in every mode', () => {
+  const stripped = draft({ bodiesRedacted: true });
+  for (const field of ['originalText', 'finalText', 'revisions', 'subject']) delete stripped[field];
+
+  for (const include of ['metrics', 'masked', 'full']) {
+    const record = prepare(include, stripped);
+    assert.strictEqual('originalText' in record, false, include);
+    assert.strictEqual(record.bodiesRedacted, true, include);
+  }
+});
+
+test('records are tagged with the user label and the stored draft is left alone', () => {
+  const stored = draft();
+  assert.strictEqual(prepare('full', stored).sourceUser, 'alex');
+  assert.strictEqual(prepare('full', stored, { userLabel: '' }).sourceUser, undefined);
+  assert.strictEqual(stored.sourceUser, undefined);
+  assert.strictEqual(prepare('masked', stored) === stored, false);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./loadScripts');
+
+const window = loadScripts(['textDiff.js']);
+
+test('countEditOperations counts insertions plus deletions', () => {
+  assert.strictEqual(window.countEditOperations('kitten', 'sitting'), 5);
+  assert.strictEqual(window.countEditOperations('same', 'same'), 0);
+  assert.strictEqual(window.countEditOperations('', 'abc'), 3);
+  assert.strictEqual(window.countEditOperations(['a', 'b'], ['b', 'a']), 2);
+});
+
+test('identical texts have no edits', () => {
+  const text = 'Hi Sam. Thanks for the call. Talk soon.';
+  assert.deepStrictEqual({ ...window.measureEditPercentages(text, text) }, {
+    editPercentage: 0,
+    wordEditPercentage: 0,
+    sentenceEditPercentage: 0
+  });
+});
+
+test('edit percentages are measured against the longer version', () => {
+  assert.strictEqual(window.measureEditPercentages('abc', 'abcdef').editPercentage, 50);
+  assert.strictEqual(window.measureEditPercentages('a b c d', 'a b x d').wordEditPercentage, 25);
+  assert.strictEqual(window.measureEditPercentages('One. Two. Three.', 'One. Two. Four.').sentenceEditPercentage, 33);
+  assert.strictEqual(window.measureEditPercentages('', 'Brand new text.').editPercentage, 100);
+});
+
+test('sentence comparison ignores case and spacing', () => {
+  const metrics = window.measureEditPercentages('Thanks  for the CALL. Bye.', 'thanks for the call. Bye.');
+  assert.strictEqual(metrics.sentenceEditPercentage, 0);
+  assert.ok(metrics.editPercentage > 0);
+});
+
+test('long drafts are measured without a quadratic matrix', () => {
+  const words = Array.from({ length: 20000 }, (_, i) => `word${i}`);
+  const edited = words.slice();
+  edited[10000] = 'changed';
+
+  const metrics = window.measureEditPercentages(words.join(' '), edited.join(' '));
+  assert.strictEqual(metrics.wordEditPercentage, 0);
+  assert.ok(metrics.editPercentage < 1);
+});
+
+test('diffWords segments rebuild both versions', () => {
+  const before = 'Let me know if you are free next week.';
+  const after = 'Are you free on Tuesday next week?';
+  const segments = window.diffWords(before, after);
+
+  const rebuild = types => segments.filter(s => types.includes(s.type)).map(s => s.text).join('');
+  assert.strictEqual(rebuild(['equal', 'delete']), before);
+  assert.strictEqual(rebuild(['equal', 'insert']), after);
+  segments.slice(1).forEach((segment, i) => assert.notStrictEqual(segment.type, segments[i].type));
+});
+
+test('revision patches replay back to every version', () => {
+  const versions = ['Hi Sam, see you Monday.', 'Hi Sam, see you Tuesday.', 'Hello Sam, see you Tuesday at 3pm.'];
+  const revisions = versions.slice(1).map((text, i) => window.createTextPatch(versions[i], text));
+
+  assert.deepStrictEqual({ ...revisions[0] }, { offset: 16, removed: 3, inserted: 'Tues' });
+  assert.deepStrictEqual(Array.from(window.replayRevisions(versions[0], revisions)), versions);
+});